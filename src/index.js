@@ -1 +1,6 @@
 export * from './javascript-file';
+export * from './javascript-file-backend';
+export * from './javascript-file-linter';
+export * from './javascript-file-refactorer';
+export * from './javascript-file-transaction';
+export * from './typescript-file';
@@ -0,0 +1,205 @@
+// Constants:
+const ACORN_ECMA_VERSION = 'latest';
+const ACORN_LOCATION_REGEX = / \(\d+:\d+\)$/;
+const DEFAULT_BACKEND = 'esprima';
+const IGNORED_KEYS = ['loc', 'parent', 'range'];
+const JSX = 'jsx';
+const MODULE = 'module';
+const REQUEST_ERROR = 400;
+
+// Utilities:
+import { isObject } from 'util';
+
+// Dependencies:
+import * as acorn from 'acorn';
+import acornJsx from 'acorn-jsx';
+import escodegen from 'escodegen';
+import * as esprima from 'esprima';
+import { getCodegenFormat } from './javascript-file-format';
+import { print } from './javascript-file-printer';
+import { printTypeScript } from './typescript-file-printer';
+
+// Errors:
+import { TractorError } from 'tractor-error-handler';
+
+// A backend parses content to an ESTree AST and generates code from it again.
+// esprima and escodegen are the default, acorn and astring support newer
+// syntax and JSX, and typescript-estree parses TypeScript. `prettierParser` is
+// the parser that prettier formats the generated code with. Nodes only get
+// `loc` and `range` when the `loc` and `range` options are set:
+export const JavaScriptFileBackends = {
+    acorn: {
+        generate: print,
+        parse: parseAcorn,
+        plugins: [JSX],
+        prettierParser: 'babel'
+    },
+    esprima: {
+        generate: generateEscodegen,
+        parse: parseEsprima,
+        plugins: [],
+        prettierParser: 'babel'
+    },
+    typescript: {
+        generate: printTypeScript,
+        parse: parseTypeScript,
+        plugins: [JSX],
+        prettierParser: 'typescript'
+    }
+};
+
+let registeredBackends = {};
+let typeScriptASTs = new WeakSet();
+
+export function getBackend (name = DEFAULT_BACKEND, plugins = []) {
+    let backend = null;
+    if (JavaScriptFileBackends.hasOwnProperty(name)) {
+        backend = JavaScriptFileBackends[name];
+    } else if (registeredBackends.hasOwnProperty(name)) {
+        backend = registeredBackends[name];
+    }
+    if (!backend) {
+        throw new TractorError(`Unknown backend "${name}".`, REQUEST_ERROR);
+    }
+
+    let supported = backend.plugins || [];
+    let [unsupported] = plugins.filter(plugin => !supported.includes(plugin));
+    if (unsupported) {
+        throw new TractorError(`The "${name}" backend doesn't support the "${unsupported}" plugin.`, REQUEST_ERROR);
+    }
+    return backend;
+}
+
+// The typescript-eslint visitor keys also visit type annotations, but they
+// are only loaded for ASTs from the "typescript" backend:
+export function getVisitorKeys (ast) {
+    if (!typeScriptASTs.has(ast)) {
+        return undefined;
+    }
+    return require('@typescript-eslint/visitor-keys').visitorKeys;
+}
+
+export function registerBackend (name, backend) {
+    if (JavaScriptFileBackends.hasOwnProperty(name) || registeredBackends.hasOwnProperty(name)) {
+        throw new TractorError(`A backend called "${name}" is already registered.`, REQUEST_ERROR);
+    }
+    if (!backend || typeof backend.parse !== 'function' || typeof backend.generate !== 'function') {
+        throw new TractorError(`The backend called "${name}" must have a "parse" and "generate" function.`, REQUEST_ERROR);
+    }
+    registeredBackends[name] = backend;
+}
+
+export function unregisterBackend (name) {
+    delete registeredBackends[name];
+}
+
+function generateEscodegen (node, options) {
+    let { comment, format, verbatim } = options;
+    let codegenOptions = { comment, verbatim };
+    if (format) {
+        codegenOptions.format = getCodegenFormat(format);
+    }
+    return escodegen.generate(node, codegenOptions);
+}
+
+function parseAcorn (content, options) {
+    let { ecmaVersion = ACORN_ECMA_VERSION, loc, plugins = [], range, sourceType } = options;
+    let parser = plugins.includes(JSX) ? acorn.Parser.extend(acornJsx()) : acorn.Parser;
+    let comments = [];
+
+    try {
+        let ast = parser.parse(content, {
+            allowHashBang: true,
+            ecmaVersion,
+            locations: !!loc,
+            onComment: comments,
+            ranges: !!range,
+            sourceType
+        });
+        ast.comments = comments;
+        return removeBigIntValues(ast);
+    } catch (error) {
+        throw toESTreeError(error);
+    }
+}
+
+function parseEsprima (content, options) {
+    let { loc, range, sourceType, tolerant } = options;
+    let parserOptions = {
+        comment: true,
+        loc: !!loc,
+        range: !!range
+    };
+    if (tolerant) {
+        parserOptions.tolerant = true;
+    }
+    return sourceType === MODULE ? esprima.parseModule(content, parserOptions) : esprima.parseScript(content, parserOptions);
+}
+
+// typescript-estree decides the source type itself:
+function parseTypeScript (content, options) {
+    let { loc, plugins = [], range } = options;
+    let typescriptESTree = requireTypeScriptESTree();
+
+    try {
+        let ast = removeBigIntValues(typescriptESTree.parse(content, {
+            comment: true,
+            jsx: plugins.includes(JSX),
+            loc: !!loc,
+            range: !!range
+        }));
+        typeScriptASTs.add(ast);
+        return ast;
+    } catch (error) {
+        throw toESTreeError(error);
+    }
+}
+
+// A BigInt can't be serialised to JSON, so BigInt literals only keep their
+// `bigint` text, as ESTree allows:
+function removeBigIntValues (node) {
+    if (Array.isArray(node)) {
+        node.forEach(removeBigIntValues);
+        return node;
+    }
+    if (!isObject(node)) {
+        return node;
+    }
+    if (node.type === 'Literal' && node.bigint != null) {
+        node.value = null;
+    }
+    Object.keys(node)
+    .filter(key => !IGNORED_KEYS.includes(key))
+    .forEach(key => removeBigIntValues(node[key]));
+    return node;
+}
+
+// typescript and typescript-estree are optional peer dependencies, so they are
+// only loaded when the "typescript" backend is used:
+function requireTypeScriptESTree () {
+    try {
+        return require('@typescript-eslint/typescript-estree');
+    } catch (error) {
+        if (error.code !== 'MODULE_NOT_FOUND') {
+            throw error;
+        }
+        throw new TractorError(`The "typescript" backend needs the "typescript" and "@typescript-eslint/typescript-estree" packages to be installed.`, REQUEST_ERROR);
+    }
+}
+
+// acorn and typescript-estree errors have a different shape to the esprima
+// errors that the rest of the file expects:
+function toESTreeError (error) {
+    if (error.location) {
+        error.description = error.message;
+        return error;
+    }
+    if (!error.loc) {
+        return error;
+    }
+    error.column = error.loc.column + 1;
+    error.description = error.message.replace(ACORN_LOCATION_REGEX, '');
+    error.index = error.pos;
+    error.lineNumber = error.loc.line;
+    return error;
+}
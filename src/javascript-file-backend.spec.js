@@ -0,0 +1,202 @@
+/* global describe:true, it:true */
+
+// Test setup:
+import { expect, sinon } from '../test-setup';
+
+// Dependencies:
+import escodegen from 'escodegen';
+import esquery from 'esquery';
+import * as esprima from 'esprima';
+import { TractorError } from 'tractor-error-handler';
+
+// Under test:
+import { getBackend, getVisitorKeys, JavaScriptFileBackends, registerBackend, unregisterBackend } from './javascript-file-backend';
+
+describe('tractor-file-javascript: javascript-file-backend:', () => {
+    describe('getBackend:', () => {
+        it('should return the "esprima" backend by default', () => {
+            expect(getBackend()).to.equal(JavaScriptFileBackends.esprima);
+        });
+
+        it('should return a backend by name', () => {
+            expect(getBackend('acorn', ['jsx'])).to.equal(JavaScriptFileBackends.acorn);
+        });
+
+        it(`should throw if the backend doesn't exist`, () => {
+            expect(() => getBackend('babel')).to.throw(TractorError, 'Unknown backend "babel".');
+        });
+
+        it(`should throw if the backend doesn't support a plugin`, () => {
+            expect(() => getBackend('esprima', ['jsx'])).to.throw(TractorError, `The "esprima" backend doesn't support the "jsx" plugin.`);
+        });
+    });
+
+    describe('getVisitorKeys:', () => {
+        it('should return the TypeScript visitor keys for an AST from the "typescript" backend', () => {
+            let ast = JavaScriptFileBackends.typescript.parse('let a: A;', {});
+
+            expect(getVisitorKeys(ast).TSTypeReference).to.deep.equal(['typeName', 'typeArguments']);
+        });
+
+        it('should return nothing for other ASTs', () => {
+            let ast = JavaScriptFileBackends.esprima.parse('let a;', {});
+
+            expect(getVisitorKeys(ast)).to.equal(undefined);
+        });
+    });
+
+    describe('registerBackend:', () => {
+        it('should add a new backend', () => {
+            let backend = { generate: () => '', parse: () => ({}) };
+
+            registerBackend('custom', backend);
+
+            try {
+                expect(getBackend('custom')).to.equal(backend);
+            } finally {
+                unregisterBackend('custom');
+            }
+            expect(() => getBackend('custom')).to.throw(TractorError, 'Unknown backend "custom".');
+        });
+
+        it('should throw if the backend is already registered', () => {
+            expect(() => registerBackend('acorn', JavaScriptFileBackends.esprima)).to.throw(TractorError, 'A backend called "acorn" is already registered.');
+        });
+
+        it(`should throw if the backend can't parse and generate`, () => {
+            expect(() => registerBackend('custom', { parse: () => ({}) })).to.throw(TractorError, 'The backend called "custom" must have a "parse" and "generate" function.');
+        });
+    });
+
+    describe('JavaScriptFileBackends.acorn:', () => {
+        it('should parse newer syntax to an ESTree AST', () => {
+            let ast = JavaScriptFileBackends.acorn.parse('class A {\n    static #a = b?.c ?? 1_000n;\n}', { loc: true, range: true, sourceType: 'script' });
+
+            let [chain] = esquery(ast, 'ChainExpression');
+            expect(esquery(ast, 'PropertyDefinition[static=true] > PrivateIdentifier').length).to.equal(1);
+            expect(chain.loc.start).to.include({ line: 2, column: 16 });
+            expect(chain.range).to.deep.equal([26, 30]);
+        });
+
+        it('should include the comments', () => {
+            let ast = JavaScriptFileBackends.acorn.parse('// comment\na();', { range: true, sourceType: 'script' });
+
+            let [comment] = ast.comments;
+            expect(comment.value).to.equal(' comment');
+            expect(comment.range).to.deep.equal([0, 10]);
+        });
+
+        it('should parse JSX with the "jsx" plugin', () => {
+            let ast = JavaScriptFileBackends.acorn.parse('a(<A b="c">{d}</A>);', { plugins: ['jsx'], sourceType: 'script' });
+
+            expect(esquery(ast, 'JSXElement').length).to.equal(1);
+        });
+
+        it('should use the `ecmaVersion` option', () => {
+            expect(() => {
+                JavaScriptFileBackends.acorn.parse('a?.b;', { ecmaVersion: 2019, sourceType: 'script' });
+            }).to.throw();
+        });
+
+        it('should throw errors with the same shape as esprima', () => {
+            try {
+                JavaScriptFileBackends.acorn.parse('a;\nvar b = ;', { sourceType: 'script' });
+                expect.fail();
+            } catch (error) {
+                expect(error.column).to.equal(9);
+                expect(error.description).to.equal('Unexpected token');
+                expect(error.index).to.equal(11);
+                expect(error.lineNumber).to.equal(2);
+            }
+        });
+
+        it('should only keep the text of BigInt literals so that the AST can be serialised', () => {
+            let ast = JavaScriptFileBackends.acorn.parse('let a = 10n;', { sourceType: 'script' });
+            let [literal] = esquery(ast, 'Literal');
+
+            expect(literal.value).to.equal(null);
+            expect(literal.bigint).to.equal('10');
+            expect(() => JSON.stringify(ast)).to.not.throw();
+        });
+
+        it('should generate code from the AST', () => {
+            let content = 'class A {\n    static #a = b?.c ?? 1000n;\n    async d() {\n        await e();\n    }\n}\n';
+            let ast = JavaScriptFileBackends.acorn.parse(content, { sourceType: 'script' });
+
+            expect(JavaScriptFileBackends.acorn.generate(ast, {})).to.equal(content);
+        });
+    });
+
+    describe('JavaScriptFileBackends.typescript:', () => {
+        it('should parse TypeScript to an ESTree AST', () => {
+            let ast = JavaScriptFileBackends.typescript.parse('// comment\nimport { A } from \'./a\';\nlet a: A = <A>b;', { range: true });
+
+            let [comment] = ast.comments;
+            expect(ast.sourceType).to.equal('module');
+            expect(comment.range).to.deep.equal([0, 10]);
+            expect(esquery(ast, 'TSTypeAssertion').length).to.equal(1);
+        });
+
+        it('should parse TSX with the "jsx" plugin', () => {
+            let ast = JavaScriptFileBackends.typescript.parse('let a = <A b={c as D} />;', { plugins: ['jsx'] });
+
+            expect(esquery(ast, 'JSXElement').length).to.equal(1);
+        });
+
+        it('should throw errors with the same shape as esprima', () => {
+            try {
+                JavaScriptFileBackends.typescript.parse('a;\nlet b: = 1;', {});
+                expect.fail();
+            } catch (error) {
+                expect(error.description).to.equal('Type expected.');
+                expect(error.index).to.equal(10);
+                expect(error.lineNumber).to.equal(2);
+            }
+        });
+
+        it('should only keep the text of BigInt literals so that the AST can be serialised', () => {
+            let ast = JavaScriptFileBackends.typescript.parse('export const big: bigint = 10n;', {});
+            let [literal] = esquery(ast, 'Literal');
+
+            expect(literal.value).to.equal(null);
+            expect(literal.bigint).to.equal('10');
+            expect(JavaScriptFileBackends.typescript.generate(ast, {})).to.equal('export const big: bigint = 10n;\n');
+        });
+
+        it('should generate TypeScript from the AST', () => {
+            let content = 'let a: Array<string> = [];\n';
+            let ast = JavaScriptFileBackends.typescript.parse(content, {});
+
+            expect(JavaScriptFileBackends.typescript.generate(ast, {})).to.equal(content);
+        });
+    });
+
+    describe('JavaScriptFileBackends.esprima:', () => {
+        it('should parse the content with esprima', () => {
+            sinon.spy(esprima, 'parseModule');
+
+            try {
+                let ast = JavaScriptFileBackends.esprima.parse('var a;', { loc: true, range: true, sourceType: 'module', tolerant: true });
+
+                expect(ast.sourceType).to.equal('module');
+                expect(esprima.parseModule).to.have.been.calledWith('var a;', sinon.match({ comment: true, loc: true, range: true, tolerant: true }));
+            } finally {
+                esprima.parseModule.restore();
+            }
+        });
+
+        it('should generate code with escodegen', () => {
+            let ast = esprima.parseScript('a("b");');
+            sinon.spy(escodegen, 'generate');
+
+            try {
+                let code = JavaScriptFileBackends.esprima.generate(ast, { comment: true, format: { indent: 2 } });
+
+                expect(code).to.equal(`a('b');`);
+                expect(escodegen.generate).to.have.been.calledWith(ast, { comment: true, format: { indent: { style: '  ' } }, verbatim: undefined });
+            } finally {
+                escodegen.generate.restore();
+            }
+        });
+    });
+});
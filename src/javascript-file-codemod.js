@@ -0,0 +1,56 @@
+// Constants:
+const PLACEHOLDER_REGEX = /{{\s*(\w+)\s*}}/g;
+const REQUEST_ERROR = 400;
+const STATEMENT_REGEX = /(Statement|Declaration)$/;
+
+// Dependencies:
+import * as esprima from 'esprima';
+import esquery from 'esquery';
+import estraverse from 'estraverse';
+
+// Errors:
+import { TractorError } from 'tractor-error-handler';
+
+export function applyRule (ast, rule, data = {}) {
+    let selector = typeof rule.selector === 'function' ? rule.selector(data) : interpolate(rule.selector, data);
+    let matches = new Set(esquery(ast, selector));
+
+    estraverse.replace(ast, {
+        fallback: 'iteration',
+        enter (node) {
+            if (matches.has(node)) {
+                this.skip();
+                return createReplacement(rule.replacement, node, data);
+            }
+        }
+    });
+}
+
+export function isRule (rule) {
+    return !!rule && ['function', 'string'].includes(typeof rule.selector) && ['function', 'string'].includes(typeof rule.replacement);
+}
+
+function createReplacement (replacement, node, data) {
+    if (typeof replacement === 'function') {
+        return replacement(node, data);
+    }
+
+    let [statement] = esprima.parseScript(interpolate(replacement, data)).body;
+    if (!statement) {
+        throw new TractorError(`Replacement "${replacement}" is empty.`, REQUEST_ERROR);
+    }
+    if (STATEMENT_REGEX.test(node.type) || statement.type !== 'ExpressionStatement') {
+        return statement;
+    }
+    return statement.expression;
+}
+
+// Placeholders like `{{ name }}` are filled in from the refactor data:
+function interpolate (template, data) {
+    return template.replace(PLACEHOLDER_REGEX, (placeholder, key) => {
+        if (!(key in data)) {
+            throw new TractorError(`Missing "${key}" for "${template}".`, REQUEST_ERROR);
+        }
+        return data[key];
+    });
+}
@@ -0,0 +1,87 @@
+/* global describe:true, it:true */
+
+// Test setup:
+import { expect } from '../test-setup';
+
+// Dependencies:
+import escodegen from 'escodegen';
+import * as esprima from 'esprima';
+import { TractorError } from 'tractor-error-handler';
+
+// Under test:
+import { applyRule, isRule } from './javascript-file-codemod';
+
+describe('tractor-file-javascript: javascript-file-codemod:', () => {
+    describe('applyRule:', () => {
+        it('should replace the matching expressions with the replacement source', () => {
+            let ast = esprima.parseScript('browser.sleep(100);\nvar a = browser.sleep(200);');
+
+            applyRule(ast, {
+                selector: 'CallExpression[callee.property.name="sleep"]',
+                replacement: 'Promise.resolve()'
+            });
+
+            expect(escodegen.generate(ast)).to.equal('Promise.resolve();\nvar a = Promise.resolve();');
+        });
+
+        it('should replace the matching statements with the replacement source', () => {
+            let ast = esprima.parseScript('debugger;\nvar a = 1;');
+
+            applyRule(ast, {
+                selector: 'DebuggerStatement',
+                replacement: 'console.log(a);'
+            });
+
+            expect(escodegen.generate(ast)).to.equal('console.log(a);\nvar a = 1;');
+        });
+
+        it('should fill in placeholders from the data', () => {
+            let ast = esprima.parseScript('oldName();');
+
+            applyRule(ast, {
+                selector: 'Identifier[name="{{ oldName }}"]',
+                replacement: '{{newName}}'
+            }, { oldName: 'oldName', newName: 'newName' });
+
+            expect(escodegen.generate(ast)).to.equal('newName();');
+        });
+
+        it('should call replacement and selector functions', () => {
+            let ast = esprima.parseScript('a + b;');
+
+            applyRule(ast, {
+                selector: data => `Identifier[name="${data.name}"]`,
+                replacement: (node, data) => ({ type: 'Literal', value: data.value })
+            }, { name: 'b', value: 1 });
+
+            expect(escodegen.generate(ast)).to.equal('a + 1;');
+        });
+
+        it('should throw an error if a placeholder is missing from the data', () => {
+            let ast = esprima.parseScript('a;');
+
+            expect(() => applyRule(ast, {
+                selector: 'Identifier[name="{{name}}"]',
+                replacement: 'b'
+            })).to.throw(TractorError, 'Missing "name" for "Identifier[name="{{name}}"]".');
+        });
+
+        it('should throw an error if the replacement is empty', () => {
+            let ast = esprima.parseScript('a;');
+
+            expect(() => applyRule(ast, {
+                selector: 'Identifier',
+                replacement: ''
+            })).to.throw(TractorError, 'Replacement "" is empty.');
+        });
+    });
+
+    describe('isRule:', () => {
+        it('should check for a selector and a replacement', () => {
+            expect(isRule({ selector: 'Identifier', replacement: 'a' })).to.equal(true);
+            expect(isRule({ selector: () => 'Identifier', replacement: () => null })).to.equal(true);
+            expect(isRule({ selector: 'Identifier' })).to.equal(false);
+            expect(isRule(null)).to.equal(false);
+        });
+    });
+});
@@ -0,0 +1,99 @@
+// Constants:
+const DEFAULT_PARSER = 'babel';
+const DOUBLE = 'double';
+const REQUEST_ERROR = 400;
+const SINGLE = 'single';
+const TAB = '\t';
+
+// Dependencies:
+import prettier from 'prettier';
+
+// Errors:
+import { TractorError } from 'tractor-error-handler';
+
+// Formatting comes from the project's prettier config or `.editorconfig`,
+// overridden by the `format` option. Without either, there is no formatting
+// and the generated code is left as it is:
+export function getFormat (filePath, format) {
+    let config = filePath ? prettier.resolveConfig.sync(filePath, { editorconfig: true }) : null;
+    if (!config && !format) {
+        return null;
+    }
+    return { ...fromPrettierConfig(config || {}), ...format };
+}
+
+export function getCodegenFormat (format) {
+    if (!format) {
+        return {};
+    }
+
+    let codegenFormat = {};
+    if (format.indent != null) {
+        codegenFormat.indent = { style: getIndent(format.indent) };
+    }
+    if (format.quotes) {
+        codegenFormat.quotes = format.quotes;
+    }
+    if (format.semicolons != null) {
+        codegenFormat.semicolons = format.semicolons;
+    }
+    return codegenFormat;
+}
+
+// The parser is the prettier parser that understands the syntax of the
+// backend, e.g. "typescript":
+export function formatSource (code, format, parser = DEFAULT_PARSER) {
+    let options = { parser };
+    if (format.indent != null) {
+        let indent = getIndent(format.indent);
+        options.useTabs = indent === TAB;
+        options.tabWidth = indent === TAB ? 4 : indent.length;
+    }
+    if (format.lineWidth != null) {
+        options.printWidth = format.lineWidth;
+    }
+    if (format.quotes) {
+        options.singleQuote = format.quotes === SINGLE;
+    }
+    if (format.semicolons != null) {
+        options.semi = format.semicolons;
+    }
+
+    try {
+        return prettier.format(code, options);
+    } catch (error) {
+        let [message] = error.message.split('\n');
+        throw new TractorError(`Cannot format the generated code: ${message}`, REQUEST_ERROR);
+    }
+}
+
+// prettier only runs when the project has a prettier config or there is a
+// `format` option. Otherwise it would apply its own defaults (e.g. double
+// quotes) to everything that an `.editorconfig` doesn't say anything about:
+export function shouldFormat (filePath, format) {
+    return !!format || (!!filePath && !!prettier.resolveConfigFile.sync(filePath));
+}
+
+function fromPrettierConfig (config) {
+    let format = {};
+    if (config.useTabs) {
+        format.indent = TAB;
+    } else if (config.tabWidth != null) {
+        format.indent = config.tabWidth;
+    }
+    if (config.printWidth != null) {
+        format.lineWidth = config.printWidth;
+    }
+    if (config.singleQuote != null) {
+        format.quotes = config.singleQuote ? SINGLE : DOUBLE;
+    }
+    if (config.semi != null) {
+        format.semicolons = config.semi;
+    }
+    return format;
+}
+
+// An indent is either a number of spaces or the indent itself:
+function getIndent (indent) {
+    return typeof indent === 'number' ? ' '.repeat(indent) : indent;
+}
@@ -0,0 +1,135 @@
+/* global describe:true, it:true */
+
+// Test setup:
+import { expect, sinon } from '../test-setup';
+
+// Dependencies:
+import path from 'path';
+import prettier from 'prettier';
+import { TractorError } from 'tractor-error-handler';
+
+// Under test:
+import { formatSource, getCodegenFormat, getFormat, shouldFormat } from './javascript-file-format';
+
+describe('tractor-file-javascript: javascript-file-format:', () => {
+    describe('getFormat:', () => {
+        let filePath = path.join(path.sep, 'file-structure', 'directory', 'file.js');
+
+        it('should return null if there is no config or format option', () => {
+            sinon.stub(prettier.resolveConfig, 'sync').returns(null);
+
+            try {
+                expect(getFormat(filePath)).to.equal(null);
+                expect(prettier.resolveConfig.sync).to.have.been.calledWith(filePath, { editorconfig: true });
+            } finally {
+                prettier.resolveConfig.sync.restore();
+            }
+        });
+
+        it('should read the format from the project config', () => {
+            sinon.stub(prettier.resolveConfig, 'sync').returns({ printWidth: 100, semi: false, singleQuote: false, tabWidth: 2 });
+
+            try {
+                expect(getFormat(filePath)).to.deep.equal({ indent: 2, lineWidth: 100, quotes: 'double', semicolons: false });
+            } finally {
+                prettier.resolveConfig.sync.restore();
+            }
+        });
+
+        it('should read tab indentation from the project config', () => {
+            sinon.stub(prettier.resolveConfig, 'sync').returns({ tabWidth: 2, useTabs: true });
+
+            try {
+                expect(getFormat(filePath)).to.deep.equal({ indent: '\t' });
+            } finally {
+                prettier.resolveConfig.sync.restore();
+            }
+        });
+
+        it('should override the project config with the format option', () => {
+            sinon.stub(prettier.resolveConfig, 'sync').returns({ singleQuote: true, tabWidth: 2 });
+
+            try {
+                expect(getFormat(filePath, { quotes: 'double' })).to.deep.equal({ indent: 2, quotes: 'double' });
+            } finally {
+                prettier.resolveConfig.sync.restore();
+            }
+        });
+    });
+
+    describe('getCodegenFormat:', () => {
+        it('should convert the format to escodegen options', () => {
+            expect(getCodegenFormat({ indent: 2, lineWidth: 80, quotes: 'double', semicolons: false })).to.deep.equal({
+                indent: { style: '  ' },
+                quotes: 'double',
+                semicolons: false
+            });
+            expect(getCodegenFormat(null)).to.deep.equal({});
+        });
+    });
+
+    describe('formatSource:', () => {
+        it('should format the code with prettier', () => {
+            let code = `var a = {\n    b: 'b'\n};\ncall(aVeryLongArgument, anotherVeryLongArgument);\n`;
+
+            let formatted = formatSource(code, { indent: '\t', lineWidth: 40, quotes: 'double', semicolons: false });
+
+            expect(formatted).to.equal([
+                'var a = {',
+                '\tb: "b",',
+                '}',
+                'call(',
+                '\taVeryLongArgument,',
+                '\tanotherVeryLongArgument',
+                ')',
+                ''
+            ].join('\n'));
+        });
+
+        it('should format the code with the given prettier parser', () => {
+            let formatted = formatSource('let a:number=1', { semicolons: true }, 'typescript');
+
+            expect(formatted).to.equal('let a: number = 1;\n');
+        });
+
+        it('should throw a TractorError if the code cannot be formatted', () => {
+            expect(() => formatSource('var a = ;', {})).to.throw(TractorError, 'Cannot format the generated code: Unexpected token (1:9)');
+        });
+    });
+
+    describe('shouldFormat:', () => {
+        let filePath = path.join(path.sep, 'file-structure', 'directory', 'file.js');
+
+        it('should format the code if there is a prettier config', () => {
+            sinon.stub(prettier.resolveConfigFile, 'sync').returns(path.join(path.sep, 'file-structure', '.prettierrc'));
+
+            try {
+                expect(shouldFormat(filePath)).to.equal(true);
+                expect(prettier.resolveConfigFile.sync).to.have.been.calledWith(filePath);
+            } finally {
+                prettier.resolveConfigFile.sync.restore();
+            }
+        });
+
+        it('should format the code if there is a format option', () => {
+            sinon.stub(prettier.resolveConfigFile, 'sync').returns(null);
+
+            try {
+                expect(shouldFormat(filePath, { indent: 2 })).to.equal(true);
+            } finally {
+                prettier.resolveConfigFile.sync.restore();
+            }
+        });
+
+        it(`should not format the code if there is only an .editorconfig`, () => {
+            sinon.stub(prettier.resolveConfigFile, 'sync').returns(null);
+
+            try {
+                expect(shouldFormat(filePath)).to.equal(false);
+                expect(shouldFormat()).to.equal(false);
+            } finally {
+                prettier.resolveConfigFile.sync.restore();
+            }
+        });
+    });
+});
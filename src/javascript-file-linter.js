@@ -0,0 +1,198 @@
+// Constants:
+const CALLBACK_NAMES = ['callback', 'cb', 'done', 'next'];
+const ERROR = 'error';
+const FOCUSED_TEST_ALIASES = ['fdescribe', 'fit'];
+const FOCUSED_TEST_FUNCTIONS = ['context', 'describe', 'it', 'suite', 'test'];
+const FUNCTION_TYPES = ['ArrowFunctionExpression', 'FunctionExpression'];
+const OFF = 'off';
+const PROMISE_METHODS = ['catch', 'finally', 'then'];
+const REQUEST_ERROR = 400;
+const SEVERITIES = ['error', 'off', 'warning'];
+const UNUSED_DEFINITIONS = ['ClassName', 'FunctionName', 'Variable'];
+// The names of class and function expressions are only visible inside them:
+const UNUSED_IGNORED_SCOPES = ['class', 'function-expression-name'];
+const WARNING = 'warning';
+
+// Dependencies:
+import esquery from 'esquery';
+import { analyze, getTypeNames } from './javascript-file-scope';
+import { getStepPattern, getSteps } from './javascript-file-steps';
+
+// Errors:
+import { TractorError } from 'tractor-error-handler';
+
+// A lint rule has a `check` function that is called with the AST and returns
+// the problems that it finds, each with a `description` and the `node` it is
+// about, and the `severity` that it has unless it is configured otherwise:
+export const JavaScriptFileLintRules = {
+    'no-browser-sleep': {
+        check: noBrowserSleep,
+        severity: WARNING
+    },
+    'no-duplicate-steps': {
+        check: noDuplicateSteps,
+        severity: ERROR
+    },
+    'no-focused-tests': {
+        check: noFocusedTests,
+        severity: ERROR
+    },
+    'no-unused-vars': {
+        check: noUnusedVars,
+        severity: WARNING
+    },
+    'return-step-promises': {
+        check: returnStepPromises,
+        severity: WARNING
+    }
+};
+
+let registeredRules = {};
+
+// The `rules` option maps rule names to "error", "warning" or "off":
+export function lint (ast, options = {}) {
+    if (!ast) {
+        return [];
+    }
+
+    let { rules = {} } = options;
+    let allRules = { ...JavaScriptFileLintRules, ...registeredRules };
+    return Object.keys(allRules)
+    .filter(name => getSeverity(allRules[name], rules[name]) !== OFF)
+    .reduce((diagnostics, name) => {
+        let rule = allRules[name];
+        let severity = getSeverity(rule, rules[name]);
+        let problems = rule.check(ast) || [];
+        return diagnostics.concat(problems.map(problem => createDiagnostic(name, problem, severity)));
+    }, []);
+}
+
+export function registerLintRule (name, rule) {
+    if (JavaScriptFileLintRules.hasOwnProperty(name) || registeredRules.hasOwnProperty(name)) {
+        throw new TractorError(`A lint rule called "${name}" is already registered.`, REQUEST_ERROR);
+    }
+    if (!rule || typeof rule.check !== 'function') {
+        throw new TractorError(`The lint rule called "${name}" must have a "check" function.`, REQUEST_ERROR);
+    }
+    if (rule.severity && !SEVERITIES.includes(rule.severity)) {
+        throw new TractorError(`The lint rule called "${name}" has an unknown severity "${rule.severity}".`, REQUEST_ERROR);
+    }
+    registeredRules[name] = rule;
+}
+
+export function unregisterLintRule (name) {
+    delete registeredRules[name];
+}
+
+function createDiagnostic (rule, problem, severity) {
+    let { description, node } = problem;
+    let diagnostic = { description, rule, severity };
+    if (node && node.loc) {
+        let { line, column } = node.loc.start;
+        diagnostic.line = line;
+        diagnostic.column = column + 1;
+    }
+    return diagnostic;
+}
+
+function getSeverity (rule, configured) {
+    return SEVERITIES.includes(configured) ? configured : rule.severity || WARNING;
+}
+
+// Statements in the body of a step that start a promise chain without
+// returning it, when the step doesn't take a callback instead:
+function getUnreturnedPromises (step) {
+    let callback = step.arguments[step.arguments.length - 1];
+    if (!FUNCTION_TYPES.includes(callback.type) || callback.body.type !== 'BlockStatement') {
+        return [];
+    }
+    let lastParam = callback.params[callback.params.length - 1];
+    if (lastParam && lastParam.type === 'Identifier' && CALLBACK_NAMES.includes(lastParam.name)) {
+        return [];
+    }
+    return callback.body.body.filter(statement => statement.type === 'ExpressionStatement' && isPromiseChain(statement.expression));
+}
+
+function isModuleDefinition (def) {
+    let { init } = def.node;
+    return def.type === 'Variable' && !!init && init.type === 'CallExpression' && init.callee.type === 'Identifier' && init.callee.name === 'require';
+}
+
+function isPromiseChain (node) {
+    while (node.type === 'CallExpression' && node.callee.type === 'MemberExpression') {
+        let { property } = node.callee;
+        if (!node.callee.computed && PROMISE_METHODS.includes(property.name)) {
+            return true;
+        }
+        node = node.callee.object;
+    }
+    return false;
+}
+
+function noBrowserSleep (ast) {
+    return esquery(ast, 'CallExpression[callee.object.name="browser"][callee.property.name="sleep"]')
+    .filter(call => !call.callee.computed)
+    .map(node => ({ description: '`browser.sleep` makes tests slow and flaky, wait for a condition instead.', node }));
+}
+
+// Cucumber can't choose between two steps with the same pattern, whatever
+// keyword they were registered with:
+function noDuplicateSteps (ast) {
+    let lines = {};
+    let problems = [];
+    getSteps(ast).forEach(step => {
+        let [pattern] = step.arguments;
+        let key = pattern.regex ? `/${pattern.regex.pattern}/${pattern.regex.flags}` : getStepPattern(step);
+        if (lines.hasOwnProperty(key)) {
+            let previous = lines[key] ? ` on line ${lines[key]}` : '';
+            problems.push({ description: `The step "${getStepPattern(step)}" is already defined${previous}.`, node: step });
+            return;
+        }
+        lines[key] = step.loc ? step.loc.start.line : null;
+    });
+    return problems;
+}
+
+function noFocusedTests (ast) {
+    return esquery(ast, 'CallExpression')
+    .filter(call => {
+        let { callee } = call;
+        if (callee.type === 'Identifier') {
+            return FOCUSED_TEST_ALIASES.includes(callee.name);
+        }
+        return callee.type === 'MemberExpression' && !callee.computed && callee.property.name === 'only' &&
+            callee.object.type === 'Identifier' && FOCUSED_TEST_FUNCTIONS.includes(callee.object.name);
+    })
+    .map(node => ({ description: 'Focused tests stop the rest of the tests from running.', node }));
+}
+
+// Required and imported modules that are never used are already reported as
+// diagnostics for the references of the file:
+function noUnusedVars (ast) {
+    let scopeManager = analyze(ast);
+    let typeNames = getTypeNames(ast);
+    let exported = esquery(ast, 'ExportNamedDeclaration, ExportDefaultDeclaration')
+    .filter(declaration => declaration.declaration)
+    .reduce((variables, declaration) => variables.concat(scopeManager.getDeclaredVariables(declaration.declaration)), []);
+
+    let problems = [];
+    scopeManager.scopes
+    .filter(scope => !UNUSED_IGNORED_SCOPES.includes(scope.type))
+    .forEach(scope => {
+        scope.variables
+        .filter(variable => variable.defs.length && variable.defs.every(def => UNUSED_DEFINITIONS.includes(def.type) && !isModuleDefinition(def)))
+        .filter(variable => !exported.includes(variable) && !typeNames.includes(variable.name))
+        .filter(variable => !variable.references.some(reference => reference.isRead()))
+        .forEach(variable => {
+            let [identifier] = variable.identifiers;
+            problems.push({ description: `"${variable.name}" is declared but never used.`, node: identifier });
+        });
+    });
+    return problems;
+}
+
+function returnStepPromises (ast) {
+    return getSteps(ast)
+    .reduce((statements, step) => statements.concat(getUnreturnedPromises(step)), [])
+    .map(node => ({ description: 'Steps should return their promises so that Cucumber waits for them.', node }));
+}
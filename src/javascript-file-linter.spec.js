@@ -0,0 +1,160 @@
+/* global describe:true, it:true */
+
+// Test setup:
+import { expect, sinon } from '../test-setup';
+
+// Dependencies:
+import * as esprima from 'esprima';
+import { TractorError } from 'tractor-error-handler';
+
+// Under test:
+import { JavaScriptFileLintRules, lint, registerLintRule, unregisterLintRule } from './javascript-file-linter';
+
+describe('tractor-file-javascript: javascript-file-linter:', () => {
+    describe('lint:', () => {
+        it('should run every rule over the AST', () => {
+            let ast = esprima.parseScript('browser.sleep(1000);\ndescribe.only(\'a\', function () {});', { loc: true });
+
+            expect(lint(ast)).to.deep.equal([{
+                column: 1,
+                description: '`browser.sleep` makes tests slow and flaky, wait for a condition instead.',
+                line: 1,
+                rule: 'no-browser-sleep',
+                severity: 'warning'
+            }, {
+                column: 1,
+                description: 'Focused tests stop the rest of the tests from running.',
+                line: 2,
+                rule: 'no-focused-tests',
+                severity: 'error'
+            }]);
+        });
+
+        it('should use the severities from the `rules` option', () => {
+            let ast = esprima.parseScript('browser.sleep(1000);\nfit(\'a\', function () {});');
+
+            let diagnostics = lint(ast, { rules: { 'no-browser-sleep': 'error', 'no-focused-tests': 'off' } });
+
+            expect(diagnostics.map(diagnostic => [diagnostic.rule, diagnostic.severity])).to.deep.equal([['no-browser-sleep', 'error']]);
+        });
+
+        it('should return no diagnostics without an AST', () => {
+            expect(lint(null)).to.deep.equal([]);
+        });
+    });
+
+    describe('registerLintRule:', () => {
+        it('should add a new rule', () => {
+            let ast = esprima.parseScript('debugger;');
+            let rule = {
+                check: sinon.stub().returns([{ description: 'No debugger.', node: ast.body[0] }]),
+                severity: 'error'
+            };
+
+            registerLintRule('no-debugger', rule);
+
+            try {
+                expect(lint(ast)).to.deep.equal([{ description: 'No debugger.', rule: 'no-debugger', severity: 'error' }]);
+                expect(rule.check).to.have.been.calledWith(ast);
+            } finally {
+                unregisterLintRule('no-debugger');
+            }
+            expect(lint(ast)).to.deep.equal([]);
+        });
+
+        it('should throw if the rule is already registered', () => {
+            expect(() => registerLintRule('no-browser-sleep', JavaScriptFileLintRules['no-unused-vars'])).to.throw(TractorError, 'A lint rule called "no-browser-sleep" is already registered.');
+        });
+
+        it(`should throw if the rule doesn't have a check function`, () => {
+            expect(() => registerLintRule('custom', {})).to.throw(TractorError, 'The lint rule called "custom" must have a "check" function.');
+        });
+
+        it('should throw if the rule has an unknown severity', () => {
+            expect(() => registerLintRule('custom', { check: () => [], severity: 'fatal' })).to.throw(TractorError, 'The lint rule called "custom" has an unknown severity "fatal".');
+        });
+    });
+
+    describe('JavaScriptFileLintRules.no-duplicate-steps:', () => {
+        it('should find steps with the same pattern', () => {
+            let ast = esprima.parseScript([
+                'module.exports = function () {',
+                '    this.Given(/^I log in$/, function () {});',
+                '    this.When(/^I log in$/, function () {});',
+                '    this.When(/^I log in$/i, function () {});',
+                '    this.Then(\'I log out\', function () {});',
+                '    this.Then(\'I log out\', function () {});',
+                '};'
+            ].join('\n'), { loc: true });
+
+            let problems = JavaScriptFileLintRules['no-duplicate-steps'].check(ast);
+
+            expect(problems.map(problem => problem.description)).to.deep.equal([
+                'The step "^I log in$" is already defined on line 2.',
+                'The step "I log out" is already defined on line 5.'
+            ]);
+        });
+    });
+
+    describe('JavaScriptFileLintRules.no-focused-tests:', () => {
+        it('should find focused tests', () => {
+            let ast = esprima.parseScript('describe.only();\nit.only();\nfdescribe();\nfit();\nit();\nsomething.only();');
+
+            let problems = JavaScriptFileLintRules['no-focused-tests'].check(ast);
+
+            expect(problems.length).to.equal(4);
+        });
+    });
+
+    describe('JavaScriptFileLintRules.no-unused-vars:', () => {
+        it('should find variables, functions and classes that are never used', () => {
+            let ast = esprima.parseScript([
+                'var used = 1;',
+                'var unused = 2;',
+                'var module = require(\'./module\');',
+                'var PageObject = function PageObject () {};',
+                'function unusedFunction (unusedParameter) {}',
+                'class UnusedClass {}',
+                'module.exports = PageObject;',
+                'console.log(used);'
+            ].join('\n'));
+
+            let problems = JavaScriptFileLintRules['no-unused-vars'].check(ast);
+
+            expect(problems.map(problem => problem.description)).to.deep.equal([
+                '"unused" is declared but never used.',
+                '"unusedFunction" is declared but never used.',
+                '"UnusedClass" is declared but never used.'
+            ]);
+        });
+
+        it(`shouldn't report exported declarations`, () => {
+            let ast = esprima.parseModule('export const a = 1;\nexport function b () {}\nexport default class C {}');
+
+            expect(JavaScriptFileLintRules['no-unused-vars'].check(ast)).to.deep.equal([]);
+        });
+    });
+
+    describe('JavaScriptFileLintRules.return-step-promises:', () => {
+        it('should find promise chains in steps that are not returned', () => {
+            let ast = esprima.parseScript([
+                'module.exports = function () {',
+                '    this.When(/^I click$/, function () {',
+                '        page.click().then(function () {});',
+                '    });',
+                '    this.When(/^I submit$/, function () {',
+                '        return page.submit().then(function () {});',
+                '    });',
+                '    this.When(/^I wait$/, function (done) {',
+                '        page.wait().then(done);',
+                '    });',
+                '    this.When(/^I go$/, () => page.go().then(function () {}));',
+                '};'
+            ].join('\n'), { loc: true });
+
+            let problems = JavaScriptFileLintRules['return-step-promises'].check(ast);
+
+            expect(problems.map(problem => problem.node.loc.start.line)).to.deep.equal([3]);
+        });
+    });
+});
@@ -0,0 +1,92 @@
+/* global BigInt:true */
+
+// Constants:
+const IGNORED_KEYS = ['loc', 'range'];
+const NUMERIC_SEPARATOR_REGEX = /_/g;
+const REGEX_LITERAL_REGEX = /^\/.+\/[a-z]*$/;
+const VERBATIM = 'x-tractor-verbatim';
+
+// Utilities:
+import { isObject } from 'util';
+
+// Dependencies:
+import escodegen from 'escodegen';
+import * as esprima from 'esprima';
+
+// Literals are printed with their original `raw` text, as long as it still
+// matches their value. The marker that tells escodegen to do that is only
+// added for as long as the callback runs:
+export function withRawLiterals (node, callback) {
+    let literals = [];
+    findLiterals(node, literals);
+    literals
+    .filter(isRawCurrent)
+    .forEach(literal => {
+        literal[VERBATIM] = { content: literal.raw, precedence: escodegen.Precedence.Primary };
+    });
+
+    try {
+        return callback(VERBATIM);
+    } finally {
+        literals.forEach(literal => delete literal[VERBATIM]);
+    }
+}
+
+function evaluateLiteral (raw) {
+    try {
+        let [statement] = esprima.parseScript(raw).body;
+        return statement.expression.value;
+    } catch (e) {
+        return undefined;
+    }
+}
+
+function findLiterals (value, literals) {
+    if (Array.isArray(value)) {
+        value.forEach(item => findLiterals(item, literals));
+        return;
+    }
+    if (!isObject(value)) {
+        return;
+    }
+    if (value.type === 'Literal') {
+        literals.push(value);
+    }
+    Object.keys(value)
+    .filter(key => !IGNORED_KEYS.includes(key))
+    .forEach(key => findLiterals(value[key], literals));
+}
+
+function isRawCurrent (literal) {
+    let { raw, value } = literal;
+    if (typeof raw !== 'string') {
+        return false;
+    }
+    if (literal.regex) {
+        return raw === `/${literal.regex.pattern}/${literal.regex.flags}`;
+    }
+    if (literal.bigint != null) {
+        return isSameBigInt(raw, literal.bigint);
+    }
+    if (typeof value === 'number') {
+        return evaluateLiteral(raw.replace(NUMERIC_SEPARATOR_REGEX, '')) === value;
+    }
+    if (typeof value === 'string') {
+        return evaluateLiteral(raw) === value;
+    }
+    if (value === null || typeof value === 'boolean') {
+        return raw === String(value);
+    }
+    // A regular expression that has been through JSON (e.g. from the UI) has
+    // lost its value, so its raw text is all that is left:
+    return (value === undefined || isObject(value)) && REGEX_LITERAL_REGEX.test(raw);
+}
+
+function isSameBigInt (raw, bigint) {
+    try {
+        let rawValue = BigInt(raw.replace(NUMERIC_SEPARATOR_REGEX, '').replace(/n$/, ''));
+        return rawValue === BigInt(String(bigint).replace(NUMERIC_SEPARATOR_REGEX, ''));
+    } catch (e) {
+        return false;
+    }
+}
@@ -0,0 +1,68 @@
+/* global describe:true, it:true */
+
+// Test setup:
+import { expect } from '../test-setup';
+
+// Dependencies:
+import escodegen from 'escodegen';
+import esquery from 'esquery';
+import * as esprima from 'esprima';
+
+// Under test:
+import { withRawLiterals } from './javascript-file-literals';
+
+describe('tractor-file-javascript: javascript-file-literals:', () => {
+    describe('withRawLiterals:', () => {
+        it('should print literals with their original text', () => {
+            let ast = esprima.parseScript(`a(/a/gimsuy, 0b101, 0o17, 1000, "a", 'b\\x41', null, true);`);
+            // esprima can't parse numeric separators:
+            let [thousand] = esquery(ast, 'Literal[value=1000]');
+            thousand.raw = '1_000';
+
+            let code = withRawLiterals(ast, verbatim => escodegen.generate(ast, { verbatim }));
+
+            expect(code).to.equal(`a(/a/gimsuy, 0b101, 0o17, 1_000, "a", 'b\\x41', null, true);`);
+        });
+
+        it('should print literals that have changed from their value', () => {
+            let ast = esprima.parseScript(`a(0x1F, "a");`);
+            let [number, string] = esquery(ast, 'Literal');
+            number.value = 2;
+            string.value = 'b';
+
+            let code = withRawLiterals(ast, verbatim => escodegen.generate(ast, { verbatim }));
+
+            expect(code).to.equal(`a(2, 'b');`);
+        });
+
+        it('should print regular expressions that have been through JSON', () => {
+            let ast = JSON.parse(JSON.stringify(esprima.parseScript('a(/a\\/b/u);')));
+
+            let code = withRawLiterals(ast, verbatim => escodegen.generate(ast, { verbatim }));
+
+            expect(code).to.equal('a(/a\\/b/u);');
+        });
+
+        it('should print BigInt literals', () => {
+            let ast = esprima.parseScript('a(b);');
+            let [identifier] = esquery(ast, 'Identifier[name="b"]');
+            Object.assign(identifier, { type: 'Literal', value: null, raw: '1_000n', bigint: '1000' });
+            delete identifier.name;
+
+            let code = withRawLiterals(ast, verbatim => escodegen.generate(ast, { verbatim }));
+
+            expect(code).to.equal('a(1_000n);');
+        });
+
+        it('should remove the markers once the code has been generated', () => {
+            let ast = esprima.parseScript('a("a");');
+            let [literal] = esquery(ast, 'Literal');
+
+            withRawLiterals(ast, verbatim => {
+                expect(literal[verbatim]).to.deep.equal({ content: '"a"', precedence: escodegen.Precedence.Primary });
+            });
+
+            expect(Object.keys(literal)).to.not.include('x-tractor-verbatim');
+        });
+    });
+});
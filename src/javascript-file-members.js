@@ -0,0 +1,304 @@
+// Constants:
+const CLASS_TYPES = ['ClassDeclaration', 'ClassExpression'];
+const CONSTRUCTOR_TYPES = ['FunctionDeclaration', 'FunctionExpression'];
+const IDENTIFIER = 'Identifier';
+const REQUEST_ERROR = 400;
+// `this` means something else inside these:
+const THIS_BOUNDARY_TYPES = ['ClassDeclaration', 'ClassExpression', 'FunctionDeclaration', 'FunctionExpression'];
+
+// Dependencies:
+import escodegen from 'escodegen';
+import esquery from 'esquery';
+import estraverse from 'estraverse';
+import { getModuleSpecifiers } from './javascript-file-references';
+import { analyze, getRenameConflicts, renameBindings } from './javascript-file-scope';
+
+// Errors:
+import { TractorError } from 'tractor-error-handler';
+
+export function renameExportedMember (ast, oldName, newName) {
+    renameExportedDeclarations(ast, oldName, newName);
+
+    // CommonJS exports:
+    getMemberExpressions(ast, oldName)
+    .filter(memberExpression => isModuleExports(memberExpression.object))
+    .forEach(memberExpression => memberExpression.property.name = newName);
+    esquery(ast, 'AssignmentExpression[right.type="ObjectExpression"]')
+    .filter(assignment => isModuleExports(assignment.left))
+    .forEach(assignment => renamePropertyKeys(assignment.right, oldName, newName));
+
+    // Members of the exported classes and constructor functions, and their
+    // uses through `this` in their own bodies:
+    getExportedConstructors(ast).forEach(({ name, node }) => {
+        let bodies = [];
+        if (CLASS_TYPES.includes(node.type)) {
+            node.body.body
+            .filter(member => !member.computed && member.key && member.key.name === oldName)
+            .forEach(member => member.key.name = newName);
+            bodies = node.body.body.map(member => member.value).filter(Boolean);
+        } else {
+            let prototypeMembers = name ? getPrototypeMembers(ast, name) : [];
+            prototypeMembers
+            .filter(memberExpression => memberExpression.property.name === oldName)
+            .forEach(memberExpression => memberExpression.property.name = newName);
+            bodies = [node, ...getPrototypeValues(ast, prototypeMembers)];
+        }
+        bodies.forEach(body => {
+            getThisMembers(body, oldName).forEach(memberExpression => memberExpression.property.name = newName);
+        });
+    });
+}
+
+export function renameMemberReferences (ast, isTarget, oldName, newName) {
+    let parents = getParents(ast);
+    let scopeManager = analyze(ast);
+    let modules = [];
+
+    getModuleSpecifiers(ast)
+    .filter(isTarget)
+    .forEach(specifier => {
+        let parent = parents.get(specifier);
+        if (parent.type === 'ImportDeclaration') {
+            renameImportSpecifiers(parent, oldName, newName);
+            modules.push(...getDeclaredVariables(scopeManager, parent, 'ImportDefaultSpecifier', 'ImportNamespaceSpecifier'));
+            return;
+        }
+        if (parent.type === 'ExportNamedDeclaration') {
+            renameReexportSpecifiers(parent, oldName, newName);
+            return;
+        }
+        if (parent.type !== 'CallExpression') {
+            return;
+        }
+
+        let requireParent = parents.get(parent);
+        if (isMember(requireParent, oldName)) {
+            requireParent.property.name = newName;
+        } else if (requireParent.type === 'VariableDeclarator' && requireParent.id.type === 'ObjectPattern') {
+            renamePropertyKeys(requireParent.id, oldName, newName);
+        } else if (requireParent.type === 'VariableDeclarator') {
+            modules.push(...scopeManager.getDeclaredVariables(requireParent));
+        }
+    });
+
+    let instances = [];
+    modules.forEach(variable => {
+        variable.references.forEach(reference => {
+            let parent = parents.get(reference.identifier);
+            if (isMember(parent, oldName)) {
+                parent.property.name = newName;
+            } else if (parent.type === 'NewExpression') {
+                let newParent = parents.get(parent);
+                if (isMember(newParent, oldName)) {
+                    newParent.property.name = newName;
+                } else {
+                    instances.push(...getInstances(scopeManager, parents, parent));
+                }
+            }
+        });
+    });
+
+    instances.forEach(instance => {
+        if (isString(instance)) {
+            getMemberExpressions(ast, oldName)
+            .filter(memberExpression => generate(memberExpression.object) === instance)
+            .forEach(memberExpression => memberExpression.property.name = newName);
+            return;
+        }
+        instance.references
+        .map(reference => parents.get(reference.identifier))
+        .filter(parent => isMember(parent, oldName))
+        .forEach(memberExpression => memberExpression.property.name = newName);
+    });
+}
+
+function cloneIdentifier (identifier) {
+    return { type: IDENTIFIER, name: identifier.name };
+}
+
+function findConstructor (ast, name) {
+    let [node] = esquery(ast, `ClassDeclaration[id.name="${name}"], FunctionDeclaration[id.name="${name}"]`);
+    if (!node) {
+        let [declarator] = esquery(ast, `VariableDeclarator[id.name="${name}"]`);
+        node = declarator && declarator.init;
+    }
+    return node ? { name, node } : null;
+}
+
+function generate (node) {
+    try {
+        return escodegen.generate(node);
+    } catch (e) {
+        return null;
+    }
+}
+
+function getDeclaredVariables (scopeManager, node, ...types) {
+    return node.specifiers
+    .filter(specifier => types.includes(specifier.type))
+    .reduce((variables, specifier) => variables.concat(scopeManager.getDeclaredVariables(specifier)), []);
+}
+
+// The classes and constructor functions that are exported, either directly
+// or by the name they are declared with:
+function getExportedConstructors (ast) {
+    let exported = [];
+    esquery(ast, 'ExportDefaultDeclaration, ExportNamedDeclaration').forEach(exportDeclaration => {
+        let { declaration } = exportDeclaration;
+        if (declaration && declaration.type === 'VariableDeclaration') {
+            exported.push(...declaration.declarations.map(declarator => declarator.init));
+        } else if (declaration) {
+            exported.push(declaration);
+        }
+        if (!exportDeclaration.source) {
+            (exportDeclaration.specifiers || []).forEach(specifier => exported.push(specifier.local));
+        }
+    });
+    esquery(ast, 'AssignmentExpression')
+    .filter(assignment => isModuleExports(assignment.left))
+    .forEach(assignment => exported.push(assignment.right));
+
+    let constructors = exported
+    .filter(Boolean)
+    .map(node => node.type === IDENTIFIER ? findConstructor(ast, node.name) : { name: node.id ? node.id.name : null, node })
+    .filter(constructor => constructor && (CLASS_TYPES.includes(constructor.node.type) || CONSTRUCTOR_TYPES.includes(constructor.node.type)));
+    return constructors.filter((constructor, index) => constructors.findIndex(other => other.node === constructor.node) === index);
+}
+
+function getInstances (scopeManager, parents, newExpression) {
+    let parent = parents.get(newExpression);
+    if (parent.type === 'VariableDeclarator' && parent.init === newExpression) {
+        return scopeManager.getDeclaredVariables(parent);
+    }
+    if (parent.type === 'AssignmentExpression' && parent.right === newExpression && parent.left.type === 'MemberExpression') {
+        let instance = generate(parent.left);
+        return instance ? [instance] : [];
+    }
+    return [];
+}
+
+function getMemberExpressions (ast, name) {
+    return esquery(ast, `MemberExpression[computed=false][property.name="${name}"]`);
+}
+
+function getParents (ast) {
+    let parents = new Map();
+    estraverse.traverse(ast, {
+        fallback: 'iteration',
+        enter (node, parent) {
+            parents.set(node, parent);
+        }
+    });
+    return parents;
+}
+
+function getPrototypeMembers (ast, name) {
+    return esquery(ast, 'MemberExpression[computed=false]')
+    .filter(memberExpression => isPrototypeMember(memberExpression) && memberExpression.object.object.type === IDENTIFIER && memberExpression.object.object.name === name);
+}
+
+function getPrototypeValues (ast, prototypeMembers) {
+    return esquery(ast, 'AssignmentExpression')
+    .filter(assignment => prototypeMembers.includes(assignment.left))
+    .map(assignment => assignment.right);
+}
+
+function getThisMembers (body, name) {
+    let members = [];
+    estraverse.traverse(body, {
+        fallback: 'iteration',
+        enter (node) {
+            if (node !== body && THIS_BOUNDARY_TYPES.includes(node.type)) {
+                this.skip();
+                return;
+            }
+            if (isMember(node, name) && node.object.type === 'ThisExpression') {
+                members.push(node);
+            }
+        }
+    });
+    return members;
+}
+
+function isMember (node, name) {
+    return node && node.type === 'MemberExpression' && !node.computed && node.property.name === name;
+}
+
+function isModuleExports (node) {
+    if (node.type === IDENTIFIER) {
+        return node.name === 'exports';
+    }
+    return node.type === 'MemberExpression' && !node.computed &&
+        node.object.type === IDENTIFIER && node.object.name === 'module' &&
+        node.property.name === 'exports';
+}
+
+function isPrototypeMember (memberExpression) {
+    let { object } = memberExpression;
+    return object.type === 'MemberExpression' && !object.computed && object.property.name === 'prototype';
+}
+
+function isString (value) {
+    return typeof value === 'string';
+}
+
+function renameExportedDeclarations (ast, oldName, newName) {
+    let scopeManager = analyze(ast);
+    let variables = esquery(ast, 'ExportNamedDeclaration[declaration]')
+    .map(exportDeclaration => exportDeclaration.declaration)
+    .reduce((declarations, declaration) => {
+        return declarations.concat(declaration.type === 'VariableDeclaration' ? declaration.declarations : [declaration]);
+    }, [])
+    .reduce((variables, declaration) => variables.concat(scopeManager.getDeclaredVariables(declaration)), [])
+    .filter(variable => variable.name === oldName && variable.scope.type === 'module');
+    let conflicts = getRenameConflicts(scopeManager, variables, newName);
+    if (conflicts.length) {
+        let error = new TractorError(`Cannot rename exported "${oldName}" to "${newName}".`, REQUEST_ERROR);
+        error.conflicts = conflicts;
+        throw error;
+    }
+    renameBindings(ast, variables, newName);
+
+    esquery(ast, 'ExportSpecifier')
+    .filter(specifier => specifier.exported.name === oldName)
+    .forEach(specifier => {
+        if (specifier.exported === specifier.local) {
+            specifier.exported = cloneIdentifier(specifier.local);
+        }
+        specifier.exported.name = newName;
+    });
+}
+
+function renameImportSpecifiers (importDeclaration, oldName, newName) {
+    importDeclaration.specifiers
+    .filter(specifier => specifier.type === 'ImportSpecifier' && specifier.imported.name === oldName)
+    .forEach(specifier => {
+        if (specifier.imported === specifier.local) {
+            specifier.local = cloneIdentifier(specifier.local);
+        }
+        specifier.imported.name = newName;
+    });
+}
+
+function renameReexportSpecifiers (exportDeclaration, oldName, newName) {
+    exportDeclaration.specifiers
+    .filter(specifier => specifier.local.name === oldName)
+    .forEach(specifier => {
+        if (specifier.exported === specifier.local) {
+            specifier.exported = cloneIdentifier(specifier.exported);
+        }
+        specifier.local.name = newName;
+    });
+}
+
+function renamePropertyKeys (object, oldName, newName) {
+    object.properties
+    .filter(property => !property.computed && property.key.type === IDENTIFIER && property.key.name === oldName)
+    .forEach(property => {
+        if (property.shorthand) {
+            property.shorthand = false;
+            property.key = cloneIdentifier(property.key);
+        }
+        property.key.name = newName;
+    });
+}
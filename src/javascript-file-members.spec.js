@@ -0,0 +1,186 @@
+/* global describe:true, it:true */
+
+// Test setup:
+import { expect } from '../test-setup';
+
+// Dependencies:
+import escodegen from 'escodegen';
+import * as esprima from 'esprima';
+import { TractorError } from 'tractor-error-handler';
+
+// Under test:
+import { renameExportedMember, renameMemberReferences } from './javascript-file-members';
+
+describe('tractor-file-javascript: javascript-file-members:', () => {
+    describe('renameExportedMember:', () => {
+        it('should rename members of `module.exports` and `exports`', () => {
+            let ast = parseScript('module.exports.oldName = 1;\nexports.oldName = 2;\nmodule.exports.other = module.exports.oldName;');
+
+            renameExportedMember(ast, 'oldName', 'newName');
+
+            expect(escodegen.generate(ast)).to.equal('module.exports.newName = 1;\nexports.newName = 2;\nmodule.exports.other = module.exports.newName;');
+        });
+
+        it('should rename properties of an object assigned to `module.exports`', () => {
+            let ast = parseScript('var oldName;\nmodule.exports = { oldName };\nvar other = { oldName: 1 };');
+
+            renameExportedMember(ast, 'oldName', 'newName');
+
+            expect(escodegen.generate(ast)).to.equal('var oldName;\nmodule.exports = { newName: oldName };\nvar other = { oldName: 1 };');
+        });
+
+        it('should rename prototype methods and their uses through `this`', () => {
+            let ast = parseScript('var Page = function () {\n};\nPage.prototype.oldName = function () {\n    return this.oldName();\n};\nmodule.exports = Page;');
+
+            renameExportedMember(ast, 'oldName', 'newName');
+
+            expect(escodegen.generate(ast)).to.equal('var Page = function () {\n};\nPage.prototype.newName = function () {\n    return this.newName();\n};\nmodule.exports = Page;');
+        });
+
+        it('should rename class methods', () => {
+            let ast = parseModule('export default class Page {\n    oldName() {\n        return this.oldName();\n    }\n}');
+
+            renameExportedMember(ast, 'oldName', 'newName');
+
+            expect(escodegen.generate(ast)).to.equal('export default class Page {\n    newName() {\n        return this.newName();\n    }\n}');
+        });
+
+        it('should only rename the members of the exported class', () => {
+            let ast = parseModule([
+                'class Other {',
+                '    oldName() {',
+                '        return this.oldName();',
+                '    }',
+                '}',
+                'export class Page {',
+                '    oldName() {',
+                '        let other = { oldName() { return this.oldName; } };',
+                '        return () => this.oldName(other);',
+                '    }',
+                '}',
+                'function helper() {',
+                '    return this.oldName;',
+                '}'
+            ].join('\n'));
+
+            renameExportedMember(ast, 'oldName', 'newName');
+
+            expect(escodegen.generate(ast)).to.equal([
+                'class Other {',
+                '    oldName() {',
+                '        return this.oldName();',
+                '    }',
+                '}',
+                'export class Page {',
+                '    newName() {',
+                '        let other = {',
+                '            oldName() {',
+                '                return this.oldName;',
+                '            }',
+                '        };',
+                '        return () => this.newName(other);',
+                '    }',
+                '}',
+                'function helper() {',
+                '    return this.oldName;',
+                '}'
+            ].join('\n'));
+        });
+
+        it('should only rename the members of the exported constructor function', () => {
+            let ast = parseScript([
+                'function Other() {',
+                '    this.oldName = 1;',
+                '}',
+                'Other.prototype.oldName = function () {',
+                '};',
+                'var Page = function () {',
+                '    this.oldName = 2;',
+                '};',
+                'Page.prototype.action = function () {',
+                '    return this.oldName;',
+                '};',
+                'module.exports = Page;'
+            ].join('\n'));
+
+            renameExportedMember(ast, 'oldName', 'newName');
+
+            expect(escodegen.generate(ast)).to.equal([
+                'function Other() {',
+                '    this.oldName = 1;',
+                '}',
+                'Other.prototype.oldName = function () {',
+                '};',
+                'var Page = function () {',
+                '    this.newName = 2;',
+                '};',
+                'Page.prototype.action = function () {',
+                '    return this.newName;',
+                '};',
+                'module.exports = Page;'
+            ].join('\n'));
+        });
+
+        it('should rename exported declarations and export specifiers', () => {
+            let ast = parseModule('export function oldName(oldName) {\n    return oldName;\n}\nconst a = 1;\nexport {\n    a as oldName\n};');
+
+            renameExportedMember(ast, 'oldName', 'newName');
+
+            expect(escodegen.generate(ast)).to.equal('export function newName(oldName) {\n    return oldName;\n}\nconst a = 1;\nexport {\n    a as newName\n};');
+        });
+
+        it('should throw if renaming an exported declaration would conflict', () => {
+            let ast = parseModule('export function oldName() {\n}\nvar newName;');
+
+            expect(() => {
+                renameExportedMember(ast, 'oldName', 'newName');
+            }).to.throw(TractorError, 'Cannot rename exported "oldName" to "newName".');
+        });
+    });
+
+    describe('renameMemberReferences:', () => {
+        it('should rename members accessed through the required module', () => {
+            let ast = parseScript(`var Page = require('./page');\nvar a = require('./page').oldName;\nPage.oldName();\nvar other = require('./other');\nother.oldName();`);
+
+            renameMemberReferences(ast, isPage, 'oldName', 'newName');
+
+            expect(escodegen.generate(ast)).to.equal(`var Page = require('./page');\nvar a = require('./page').newName;\nPage.newName();\nvar other = require('./other');\nother.oldName();`);
+        });
+
+        it('should rename destructured members', () => {
+            let ast = parseScript(`var {oldName} = require('./page');\noldName();`);
+
+            renameMemberReferences(ast, isPage, 'oldName', 'newName');
+
+            expect(escodegen.generate(ast)).to.equal(`var {newName: oldName} = require('./page');\noldName();`);
+        });
+
+        it('should rename members accessed through instances', () => {
+            let ast = parseScript(`var Page = require('./page');\nfunction step() {\n    var page = new Page();\n    this.page = new Page();\n    new Page().oldName();\n    this.page.oldName();\n    return page.oldName();\n}`);
+
+            renameMemberReferences(ast, isPage, 'oldName', 'newName');
+
+            expect(escodegen.generate(ast)).to.equal(`var Page = require('./page');\nfunction step() {\n    var page = new Page();\n    this.page = new Page();\n    new Page().newName();\n    this.page.newName();\n    return page.newName();\n}`);
+        });
+
+        it('should rename imported members', () => {
+            let ast = parseModule(`import Page, { oldName } from './page';\nimport * as page from './page';\nexport { oldName as a } from './page';\npage.oldName();\noldName();`);
+
+            renameMemberReferences(ast, isPage, 'oldName', 'newName');
+
+            expect(escodegen.generate(ast)).to.equal(`import Page, { newName as oldName } from './page';\nimport * as page from './page';\nexport {\n    newName as a\n} from './page';\npage.newName();\noldName();`);
+        });
+    });
+});
+
+function isPage (specifier) {
+    return specifier.value === './page';
+}
+
+function parseModule (javascript) {
+    return esprima.parseModule(javascript, { loc: true, range: true });
+}
+
+function parseScript (javascript) {
+    return esprima.parseScript(javascript, { loc: true, range: true });
+}
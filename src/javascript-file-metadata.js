@@ -0,0 +1,95 @@
+// Constants:
+const LEADING_WHITESPACE_REGEX = /^\s*/;
+const LINE_COMMENT = 'Line';
+const META_VERSION_KEY = 'tractorMetaVersion';
+const REQUEST_ERROR = 400;
+
+// Version 0 is metadata from before it was versioned. Each migration takes
+// metadata from the version at its index to the next version:
+export const META_MIGRATIONS = [];
+export const META_SCHEMA = {
+    type: 'object',
+    properties: {
+        name: { type: 'string' }
+    }
+};
+
+// Dependencies:
+import Ajv from 'ajv';
+
+// Errors:
+import { TractorError } from 'tractor-error-handler';
+
+let ajv = new Ajv();
+let validators = new WeakMap();
+
+export function getMeta (file) {
+    let metaComment = findMetaComment(file);
+    if (!metaComment) {
+        return null;
+    }
+
+    let { [META_VERSION_KEY]: version = 0, ...meta } = metaComment.data;
+    let { metaMigrations } = file;
+    if (!Number.isInteger(version) || version < 0 || version > metaMigrations.length) {
+        throw new TractorError(`Metadata version "${version}" in "${file.path}" is not supported.`, REQUEST_ERROR);
+    }
+
+    meta = metaMigrations.slice(version).reduce((migrated, migration) => migration(migrated), meta);
+    validate(file, meta);
+    return meta;
+}
+
+export function setMeta (file, meta) {
+    validate(file, meta);
+
+    // Metadata only needs the version marker once it has been migrated:
+    let version = file.metaMigrations.length;
+    let value = JSON.stringify(version ? { [META_VERSION_KEY]: version, ...meta } : meta);
+    let metaComment = findMetaComment(file);
+    if (metaComment) {
+        let [whitespace] = metaComment.comment.value.match(LEADING_WHITESPACE_REGEX);
+        metaComment.comment.value = `${whitespace}${value}`;
+        return;
+    }
+
+    file.ast.comments = file.ast.comments || [];
+    file.ast.comments.unshift({ type: LINE_COMMENT, value });
+}
+
+function findMetaComment (file) {
+    let comments = file.ast && file.ast.comments;
+    if (!comments) {
+        return null;
+    }
+
+    let metaComments = comments
+    .map(comment => ({ comment, data: parseComment(comment) }))
+    .filter(metaComment => metaComment.data);
+
+    // Prefer a comment with the version marker, but fall back to the first
+    // JSON comment for metadata that was written before it was versioned:
+    return metaComments.find(metaComment => META_VERSION_KEY in metaComment.data) || metaComments[0] || null;
+}
+
+function parseComment (comment) {
+    try {
+        let data = JSON.parse(comment.value);
+        return data && typeof data === 'object' && !Array.isArray(data) ? data : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+function validate (file, meta) {
+    let { metaSchema } = file;
+    let validator = validators.get(metaSchema);
+    if (!validator) {
+        validator = ajv.compile(metaSchema);
+        validators.set(metaSchema, validator);
+    }
+
+    if (!validator(meta)) {
+        throw new TractorError(`Invalid metadata in "${file.path}": ${ajv.errorsText(validator.errors)}`, REQUEST_ERROR);
+    }
+}
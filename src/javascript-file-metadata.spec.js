@@ -0,0 +1,141 @@
+/* global describe:true, it:true */
+
+// Test setup:
+import { expect } from '../test-setup';
+
+// Dependencies:
+import * as esprima from 'esprima';
+import path from 'path';
+import { TractorError } from 'tractor-error-handler';
+import { FileStructure } from 'tractor-file-structure';
+import { JavaScriptFile } from './javascript-file';
+
+// Under test:
+import { getMeta, setMeta } from './javascript-file-metadata';
+
+describe('tractor-file-javascript: javascript-file-metadata:', () => {
+    describe('getMeta:', () => {
+        it('should get the metadata from the comment with the version marker', () => {
+            let file = createFile(`
+                // Copyright
+                // { "tractorMetaVersion": 1, "name": "file" }
+            `);
+            file.metaMigrations = [meta => meta];
+
+            expect(getMeta(file)).to.deep.equal({ name: 'file' });
+        });
+
+        it('should fall back to the first JSON comment for unversioned metadata', () => {
+            let file = createFile(`
+                /* License: MIT */
+                // { "name": "file" }
+                // { "name": "other" }
+            `);
+
+            expect(getMeta(file)).to.deep.equal({ name: 'file' });
+        });
+
+        it('should return null if there is no metadata', () => {
+            let file = createFile(`
+                // Not JSON
+                // ["not", "an", "object"]
+            `);
+
+            expect(getMeta(file)).to.equal(null);
+        });
+
+        it('should return null if there is no AST', () => {
+            let file = createFile('');
+            file.ast = null;
+
+            expect(getMeta(file)).to.equal(null);
+        });
+
+        it('should migrate the metadata to the current version', () => {
+            let file = createFile(`// { "tractorMetaVersion": 1, "title": "file" }`);
+            file.metaMigrations = [
+                meta => meta,
+                meta => ({ name: meta.title })
+            ];
+
+            expect(getMeta(file)).to.deep.equal({ name: 'file' });
+        });
+
+        it('should throw if the version is not supported', () => {
+            let file = createFile(`// { "tractorMetaVersion": 1, "name": "file" }`);
+
+            expect(() => {
+                getMeta(file);
+            }).to.throw(TractorError, `Metadata version "1" in "${file.path}" is not supported.`);
+        });
+
+        it('should throw if the metadata does not match the schema', () => {
+            let file = createFile(`// { "name": 1 }`);
+
+            expect(() => {
+                getMeta(file);
+            }).to.throw(TractorError, `Invalid metadata in "${file.path}": data.name should be string`);
+        });
+    });
+
+    describe('setMeta:', () => {
+        it('should update the existing metadata comment', () => {
+            let file = createFile(`
+                /* License: MIT */
+                // { "name": "file" }
+            `);
+
+            setMeta(file, { name: 'new name' });
+
+            let [, comment] = file.ast.comments;
+            expect(comment.value).to.equal(' {"name":"new name"}');
+        });
+
+        it('should add the current version when the metadata has migrations', () => {
+            let file = createFile(`// { "title": "file" }`);
+            file.metaMigrations = [meta => ({ name: meta.title })];
+
+            setMeta(file, getMeta(file));
+
+            let [comment] = file.ast.comments;
+            expect(comment.value).to.equal(' {"tractorMetaVersion":1,"name":"file"}');
+            expect(getMeta(file)).to.deep.equal({ name: 'file' });
+        });
+
+        it('should add a metadata comment to the start of the file', () => {
+            let file = createFile('/* License: MIT */');
+
+            setMeta(file, { name: 'file' });
+
+            let [comment] = file.ast.comments;
+            expect(comment.type).to.equal('Line');
+            expect(JSON.parse(comment.value)).to.deep.equal({ name: 'file' });
+        });
+
+        it('should add comments to an AST without them', () => {
+            let file = createFile('');
+            file.ast = esprima.parseScript('');
+
+            setMeta(file, { name: 'file' });
+
+            expect(file.ast.comments.length).to.equal(1);
+        });
+
+        it('should throw if the metadata does not match the schema', () => {
+            let file = createFile('');
+
+            expect(() => {
+                setMeta(file, { name: 1 });
+            }).to.throw(TractorError, `Invalid metadata in "${file.path}": data.name should be string`);
+        });
+    });
+});
+
+function createFile (content) {
+    let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+    let filePath = path.join(path.sep, 'file-structure', 'directory', 'file.js');
+
+    let file = new JavaScriptFile(filePath, fileStructure);
+    file.ast = esprima.parseScript(content, { comment: true });
+    return file;
+}
@@ -0,0 +1,210 @@
+// Constants:
+const CLASS = 'class';
+const CLASS_TYPES = ['ClassDeclaration', 'ClassExpression'];
+const DEFAULT = 'default';
+const EXPORT = 'export';
+const FUNCTION = 'function';
+const FUNCTION_TYPES = ['ArrowFunctionExpression', 'FunctionDeclaration', 'FunctionExpression'];
+const METHOD = 'method';
+const PROPERTY = 'property';
+const STEP = 'step';
+const VARIABLE = 'variable';
+
+// Dependencies:
+import { getStepKeyword, getStepPattern, isStep } from './javascript-file-steps';
+
+// The outline is a tree of the symbols in a file, with their locations. At
+// the top are the declarations and exports, and under each function or class
+// are its methods and properties (e.g. the actions and elements of a page
+// object) and any Cucumber steps that it registers:
+export function getOutline (ast) {
+    if (!ast || !Array.isArray(ast.body)) {
+        return [];
+    }
+    return getItems(ast.body, true);
+}
+
+function createItem (kind, name, node, exported, children = []) {
+    return { children, exported, kind, loc: getLocation(node), name };
+}
+
+function createStep (call) {
+    let step = createItem(STEP, getStepPattern(call), call, false);
+    step.keyword = getStepKeyword(call);
+    return step;
+}
+
+function findItem (items, name) {
+    return items.find(item => item.name === name && item.kind !== EXPORT);
+}
+
+function getChildren (node) {
+    if (!node) {
+        return [];
+    }
+    if (FUNCTION_TYPES.includes(node.type)) {
+        return node.body.type === 'BlockStatement' ? getItems(node.body.body, false) : [];
+    }
+    if (CLASS_TYPES.includes(node.type)) {
+        return getClassMembers(node);
+    }
+    if (isImmediatelyInvoked(node)) {
+        return getChildren(node.callee);
+    }
+    return [];
+}
+
+// The properties that the constructor sets on `this` belong to the class:
+function getClassMembers (node) {
+    let members = [];
+    node.body.body
+    .filter(member => !member.computed)
+    .forEach(member => {
+        if (member.kind === 'constructor') {
+            members.push(...getChildren(member.value));
+        } else if (member.type === 'MethodDefinition') {
+            members.push(createItem(METHOD, getKeyName(member.key), member, false, getChildren(member.value)));
+        } else if (member.key) {
+            members.push(createItem(PROPERTY, getKeyName(member.key), member, false, getChildren(member.value)));
+        }
+    });
+    return members;
+}
+
+function getDeclarationItems (declaration, exported, topLevel) {
+    let { type } = declaration;
+    if (FUNCTION_TYPES.includes(type) || CLASS_TYPES.includes(type)) {
+        return declaration.id ? [createItem(getKind(declaration), declaration.id.name, declaration, exported, getChildren(declaration))] : [];
+    }
+    if (type === 'VariableDeclaration') {
+        // Only functions and classes are interesting inside other functions:
+        return declaration.declarations
+        .filter(declarator => declarator.id.type === 'Identifier')
+        .filter(declarator => topLevel || getKind(declarator.init) !== VARIABLE)
+        .map(declarator => createItem(getKind(declarator.init), declarator.id.name, declarator, exported, getChildren(declarator.init)));
+    }
+    return [];
+}
+
+// `module.exports = ...`, `module.exports.name = ...`, `exports.name = ...`,
+// `Constructor.prototype.name = ...` and `this.name = ...`:
+function getExpressionItems (expression, statement, items) {
+    if (expression.type === 'CallExpression') {
+        if (isStep(expression)) {
+            return [createStep(expression)];
+        }
+        return isImmediatelyInvoked(expression) ? getChildren(expression) : [];
+    }
+    if (expression.type !== 'AssignmentExpression' || expression.left.type !== 'MemberExpression') {
+        return [];
+    }
+
+    let { left, right } = expression;
+    if (isModuleExports(left)) {
+        return markExported(items, right) ? [] : [createItem(getKind(right), DEFAULT, statement, true, getChildren(right))];
+    }
+    if (left.computed) {
+        return [];
+    }
+
+    let { object } = left;
+    let name = getKeyName(left.property);
+    if (isModuleExports(object) || isIdentifier(object, 'exports')) {
+        return [createItem(getKind(right), name, statement, true, getChildren(right))];
+    }
+
+    let member = createItem(getKind(right) === FUNCTION ? METHOD : PROPERTY, name, statement, false, getChildren(right));
+    if (object.type === 'ThisExpression') {
+        return [member];
+    }
+    if (isPrototype(object)) {
+        let constructor = findItem(items, object.object.name);
+        if (!constructor) {
+            return [member];
+        }
+        constructor.children.push(member);
+    }
+    return [];
+}
+
+function getItems (statements, topLevel) {
+    let items = [];
+    statements.forEach(statement => items.push(...getStatementItems(statement, items, topLevel)));
+    return items;
+}
+
+function getKeyName (key) {
+    if (key.type === 'PrivateIdentifier') {
+        return `#${key.name}`;
+    }
+    return key.type === 'Identifier' ? key.name : String(key.value);
+}
+
+function getKind (node) {
+    if (node && FUNCTION_TYPES.includes(node.type)) {
+        return FUNCTION;
+    }
+    if (node && CLASS_TYPES.includes(node.type)) {
+        return CLASS;
+    }
+    return VARIABLE;
+}
+
+function getLocation (node) {
+    if (!node.loc) {
+        return null;
+    }
+    let { end, start } = node.loc;
+    return { end: { column: end.column, line: end.line }, start: { column: start.column, line: start.line } };
+}
+
+function getStatementItems (statement, items, topLevel) {
+    let { type } = statement;
+    if (type === 'ExportNamedDeclaration') {
+        let exported = statement.declaration ? getDeclarationItems(statement.declaration, true, topLevel) : [];
+        statement.specifiers.forEach(specifier => {
+            let name = getKeyName(specifier.exported);
+            if (statement.source || specifier.local.name !== name || !markExported(items, specifier.local)) {
+                exported.push(createItem(EXPORT, name, specifier, true));
+            }
+        });
+        return exported;
+    }
+    if (type === 'ExportDefaultDeclaration') {
+        let { declaration } = statement;
+        return markExported(items, declaration) ? [] : [createItem(getKind(declaration), DEFAULT, statement, true, getChildren(declaration))];
+    }
+    if (type === 'ExportAllDeclaration') {
+        return [createItem(EXPORT, statement.exported ? getKeyName(statement.exported) : '*', statement, true)];
+    }
+    if (type === 'ExpressionStatement') {
+        return getExpressionItems(statement.expression, statement, items);
+    }
+    return getDeclarationItems(statement, false, topLevel);
+}
+
+function isIdentifier (node, name) {
+    return node.type === 'Identifier' && node.name === name;
+}
+
+function isImmediatelyInvoked (node) {
+    return node.type === 'CallExpression' && FUNCTION_TYPES.includes(node.callee.type);
+}
+
+function isModuleExports (node) {
+    return node.type === 'MemberExpression' && !node.computed && isIdentifier(node.object, 'module') && isIdentifier(node.property, 'exports');
+}
+
+function isPrototype (node) {
+    return node.type === 'MemberExpression' && !node.computed && node.object.type === 'Identifier' && isIdentifier(node.property, 'prototype');
+}
+
+// A symbol that is declared and then exported separately (e.g.
+// `module.exports = PageObject;`) is marked as exported where it is declared:
+function markExported (items, node) {
+    let item = node && node.type === 'Identifier' ? findItem(items, node.name) : null;
+    if (item) {
+        item.exported = true;
+    }
+    return !!item;
+}
@@ -0,0 +1,128 @@
+/* global describe:true, it:true */
+
+// Test setup:
+import { expect } from '../test-setup';
+
+// Dependencies:
+import * as esprima from 'esprima';
+
+// Under test:
+import { getOutline } from './javascript-file-outline';
+
+describe('tractor-file-javascript: javascript-file-outline:', () => {
+    describe('getOutline:', () => {
+        it('should list the top-level declarations', () => {
+            let ast = esprima.parseScript('var a = 1;\nfunction b () {\n}\nclass C {\n}\nlet d = () => {}, e = class {};\nif (a) {\n    var f;\n}');
+
+            expect(getOutline(ast)).to.deep.equal([
+                { children: [], exported: false, kind: 'variable', loc: null, name: 'a' },
+                { children: [], exported: false, kind: 'function', loc: null, name: 'b' },
+                { children: [], exported: false, kind: 'class', loc: null, name: 'C' },
+                { children: [], exported: false, kind: 'function', loc: null, name: 'd' },
+                { children: [], exported: false, kind: 'class', loc: null, name: 'e' }
+            ]);
+        });
+
+        it('should include the location of each symbol', () => {
+            let ast = esprima.parseScript('\nfunction a () {\n}', { loc: true });
+
+            let [a] = getOutline(ast);
+
+            expect(a.loc).to.deep.equal({ end: { column: 1, line: 3 }, start: { column: 0, line: 2 } });
+        });
+
+        it('should list CommonJS exports', () => {
+            let ast = esprima.parseScript('module.exports = function () {};\nmodule.exports.a = 1;\nexports.b = class {};\nsomething.c = 2;');
+
+            expect(getOutline(ast)).to.deep.equal([
+                { children: [], exported: true, kind: 'function', loc: null, name: 'default' },
+                { children: [], exported: true, kind: 'variable', loc: null, name: 'a' },
+                { children: [], exported: true, kind: 'class', loc: null, name: 'b' }
+            ]);
+        });
+
+        it('should list module exports', () => {
+            let ast = esprima.parseModule('export function a () {}\nexport const b = 1;\nexport { b as c };\nexport default class {}\nexport * from \'./d\';');
+
+            expect(getOutline(ast)).to.deep.equal([
+                { children: [], exported: true, kind: 'function', loc: null, name: 'a' },
+                { children: [], exported: true, kind: 'variable', loc: null, name: 'b' },
+                { children: [], exported: true, kind: 'export', loc: null, name: 'c' },
+                { children: [], exported: true, kind: 'class', loc: null, name: 'default' },
+                { children: [], exported: true, kind: 'export', loc: null, name: '*' }
+            ]);
+        });
+
+        it('should mark symbols that are exported after they are declared', () => {
+            let ast = esprima.parseModule('function a () {}\nclass B {}\nexport { a };\nexport default B;');
+
+            let outline = getOutline(ast);
+
+            expect(outline.map(item => [item.name, item.exported])).to.deep.equal([['a', true], ['B', true]]);
+        });
+
+        it('should list the methods and properties of a class', () => {
+            let ast = esprima.parseScript('class A {\n    constructor () {\n        var b = 1;\n        this.c = b;\n    }\n    d () {}\n    static e () {}\n}');
+
+            let [a] = getOutline(ast);
+
+            expect(a.children.map(item => [item.kind, item.name])).to.deep.equal([['property', 'c'], ['method', 'd'], ['method', 'e']]);
+        });
+
+        it('should list the elements and actions of a page object', () => {
+            let ast = esprima.parseScript([
+                'module.exports = function () {',
+                '    var PageObject = function PageObject () {',
+                '        this.button = element(by.css(\'button\'));',
+                '    };',
+                '    PageObject.prototype.click = function () {',
+                '        return this.button.click();',
+                '    };',
+                '    return PageObject;',
+                '}();'
+            ].join('\n'));
+
+            let [pageObject] = getOutline(ast);
+
+            expect(pageObject.name).to.equal('default');
+            expect(pageObject.exported).to.equal(true);
+            let [constructor] = pageObject.children;
+            expect(constructor.name).to.equal('PageObject');
+            expect(constructor.children.map(item => [item.kind, item.name])).to.deep.equal([['property', 'button'], ['method', 'click']]);
+        });
+
+        it('should list the Cucumber steps that are registered in a file', () => {
+            let ast = esprima.parseScript([
+                'module.exports = function () {',
+                '    this.Given(/^I go to "([^"]*)"$/, function (url, done) {',
+                '        done();',
+                '    });',
+                '    this.When(\'I click\', function () {});',
+                '    Then(`I see ${something}`, function () {});',
+                '};'
+            ].join('\n'), { loc: true });
+
+            let [steps] = getOutline(ast);
+
+            expect(steps.children).to.deep.equal([{
+                children: [],
+                exported: false,
+                keyword: 'Given',
+                kind: 'step',
+                loc: { end: { column: 6, line: 4 }, start: { column: 4, line: 2 } },
+                name: '^I go to "([^"]*)"$'
+            }, {
+                children: [],
+                exported: false,
+                keyword: 'When',
+                kind: 'step',
+                loc: { end: { column: 40, line: 5 }, start: { column: 4, line: 5 } },
+                name: 'I click'
+            }]);
+        });
+
+        it('should return an empty outline without an AST', () => {
+            expect(getOutline(null)).to.deep.equal([]);
+        });
+    });
+});
@@ -0,0 +1,26 @@
+// Constants:
+const CODE_FRAME_LINES = 2;
+const NEW_LINE = '\n';
+
+// Dependencies:
+import codeFrame from 'babel-code-frame';
+
+export function getParseError (error, content) {
+    if (!error || !error.lineNumber || typeof content !== 'string') {
+        return null;
+    }
+
+    let { description, index, lineNumber } = error;
+    let lineStart = content.lastIndexOf(NEW_LINE, index - 1) + 1;
+    let column = index - lineStart + 1;
+
+    return {
+        column,
+        description,
+        line: lineNumber,
+        codeFrame: codeFrame(content, lineNumber, column, {
+            linesAbove: CODE_FRAME_LINES,
+            linesBelow: CODE_FRAME_LINES
+        })
+    };
+}
@@ -0,0 +1,57 @@
+/* global describe:true, it:true */
+
+// Test setup:
+import { expect } from '../test-setup';
+
+// Dependencies:
+import * as esprima from 'esprima';
+
+// Under test:
+import { getParseError } from './javascript-file-parse-error';
+
+describe('tractor-file-javascript: javascript-file-parse-error:', () => {
+    describe('getParseError:', () => {
+        it('should get the location and description of a parser error', () => {
+            let content = 'var a;\nvar b = ;\nvar c;';
+            let error;
+            try {
+                esprima.parseScript(content);
+            } catch (e) {
+                error = e;
+            }
+
+            let parseError = getParseError(error, content);
+
+            expect(parseError.line).to.equal(2);
+            expect(parseError.column).to.equal(9);
+            expect(parseError.description).to.equal('Unexpected token ;');
+        });
+
+        it('should include a code frame from the source', () => {
+            let content = 'var a;\nvar b = ;\nvar c;';
+            let error;
+            try {
+                esprima.parseScript(content);
+            } catch (e) {
+                error = e;
+            }
+
+            let { codeFrame } = getParseError(error, content);
+
+            expect(codeFrame).to.equal([
+                '  1 | var a;',
+                '> 2 | var b = ;',
+                '    |         ^',
+                '  3 | var c;'
+            ].join('\n'));
+        });
+
+        it(`should return null if the error didn't come from the parser`, () => {
+            expect(getParseError(new Error(), '')).to.equal(null);
+        });
+
+        it(`should return null if there is no content`, () => {
+            expect(getParseError({ lineNumber: 1, index: 0 })).to.equal(null);
+        });
+    });
+});
@@ -0,0 +1,59 @@
+// Constants:
+const LOOSE_ECMA_VERSION = 2017;
+const MODULE = 'module';
+const SCRIPT = 'script';
+
+// Dependencies:
+import * as acornLoose from 'acorn-loose';
+import { getBackend } from './javascript-file-backend';
+
+export function parse (content, options = {}) {
+    let { backend, ecmaVersion, loc, plugins, range, sourceType, tolerant } = options;
+    let parser = getBackend(backend, plugins);
+    let parserOptions = { ecmaVersion, loc: !!loc, plugins, range: !!range };
+
+    if (!tolerant) {
+        return { ast: parseESTree(parser, content, sourceType, parserOptions), errors: [], partial: false };
+    }
+
+    try {
+        let ast = parseESTree(parser, content, sourceType, { ...parserOptions, tolerant: true });
+        let errors = ast.errors || [];
+        delete ast.errors;
+        return { ast, errors, partial: false };
+    } catch (error) {
+        return { ast: parseLoose(content, sourceType, parserOptions), errors: [error], partial: true };
+    }
+}
+
+function parseESTree (parser, content, sourceType, options) {
+    if (sourceType === MODULE || sourceType === SCRIPT) {
+        return parser.parse(content, { ...options, sourceType });
+    }
+
+    // Without an explicit source type, try parsing as a script first and then
+    // as a module. If both fail, the parse that got furthest has the most
+    // useful error:
+    try {
+        return parser.parse(content, { ...options, sourceType: SCRIPT });
+    } catch (scriptError) {
+        try {
+            return parser.parse(content, { ...options, sourceType: MODULE });
+        } catch (moduleError) {
+            throw moduleError.index > scriptError.index ? moduleError : scriptError;
+        }
+    }
+}
+
+function parseLoose (content, sourceType, options) {
+    let comments = [];
+    let ast = acornLoose.parse(content, {
+        ecmaVersion: options.ecmaVersion || LOOSE_ECMA_VERSION,
+        locations: options.loc,
+        onComment: comments,
+        ranges: options.range,
+        sourceType: sourceType || MODULE
+    });
+    ast.comments = comments;
+    return ast;
+}
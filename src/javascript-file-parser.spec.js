@@ -0,0 +1,110 @@
+/* global describe:true, it:true */
+
+// Test setup:
+import { expect, sinon } from '../test-setup';
+
+// Dependencies:
+import * as esprima from 'esprima';
+
+// Under test:
+import { parse } from './javascript-file-parser';
+
+describe('tractor-file-javascript: javascript-file-parser:', () => {
+    describe('parse:', () => {
+        it('should parse the content as a script', () => {
+            let { ast, errors, partial } = parse('var a;');
+
+            expect(ast.sourceType).to.equal('script');
+            expect(errors).to.deep.equal([]);
+            expect(partial).to.equal(false);
+        });
+
+        it('should fall back to parsing the content as a module', () => {
+            let { ast } = parse(`import a from './a';`);
+
+            expect(ast.sourceType).to.equal('module');
+        });
+
+        it('should only parse the content as the given `sourceType`', () => {
+            sinon.spy(esprima, 'parseScript');
+
+            try {
+                let { ast } = parse('var a;', { sourceType: 'module' });
+
+                expect(ast.sourceType).to.equal('module');
+                expect(esprima.parseScript).to.not.have.been.called();
+            } finally {
+                esprima.parseScript.restore();
+            }
+        });
+
+        it('should throw the error from the parse that got furthest', () => {
+            expect(() => {
+                parse(`import a from './a'; var b = ;`);
+            }).to.throw('Line 1: Unexpected token ;');
+        });
+
+        it('should include the comments', () => {
+            let { ast } = parse('// comment');
+
+            let [comment] = ast.comments;
+            expect(comment.value).to.equal(' comment');
+        });
+
+        it('should include locations when `loc` is set', () => {
+            let { ast } = parse('var a;', { loc: true });
+
+            expect(ast.loc).to.deep.equal({ start: { line: 1, column: 0 }, end: { line: 1, column: 6 } });
+            expect(ast.range).to.equal(undefined);
+        });
+
+        it('should include ranges when `range` is set', () => {
+            let { ast } = parse('var a;', { range: true });
+
+            expect(ast.range).to.deep.equal([0, 6]);
+        });
+
+        it('should parse the content with the given `backend`', () => {
+            let { ast } = parse('await import(\'./a\')?.b;', { backend: 'acorn' });
+
+            expect(ast.sourceType).to.equal('module');
+            expect(ast.body[0].expression.argument.type).to.equal('ChainExpression');
+        });
+
+        it(`should throw if the \`backend\` doesn't exist`, () => {
+            expect(() => {
+                parse('var a;', { backend: 'babel' });
+            }).to.throw('Unknown backend "babel".');
+        });
+
+        describe('tolerant:', () => {
+            it('should return any recoverable errors', () => {
+                let { ast, errors, partial } = parse('var a; a = 1 = 2;', { tolerant: true });
+
+                let [error] = errors;
+                expect(ast.body.length).to.equal(2);
+                expect(ast.errors).to.equal(undefined);
+                expect(error.description).to.equal('Invalid left-hand side in assignment');
+                expect(partial).to.equal(false);
+            });
+
+            it('should return a partial AST if the content cannot be parsed', () => {
+                let { ast, errors, partial } = parse(`var a = require('./a');\nvar b = ;`, { tolerant: true });
+
+                let [error] = errors;
+                expect(ast.type).to.equal('Program');
+                expect(ast.body[0].declarations[0].init.arguments[0].value).to.equal('./a');
+                expect(error.lineNumber).to.equal(2);
+                expect(partial).to.equal(true);
+            });
+
+            it('should include the comments in a partial AST', () => {
+                let { ast } = parse('// comment\nvar b = ;', { range: true, tolerant: true });
+
+                let [comment] = ast.comments;
+                expect(comment.value).to.equal(' comment');
+                expect(comment.range).to.deep.equal([0, 10]);
+            });
+        });
+    });
+});
@@ -0,0 +1,170 @@
+// Constants:
+const DEFAULT_INDENT = '    ';
+const DOUBLE_QUOTE = '"';
+const ESCAPED_DOUBLE_QUOTE_REGEX = /\\"/g;
+const JSX_PRECEDENCE = 20;
+const SINGLE_QUOTE_REGEX = /'/g;
+
+// Dependencies:
+import * as astring from 'astring';
+import { getCodegenFormat } from './javascript-file-format';
+
+// astring can print everything that acorn can parse, except for JSX:
+const JSX_GENERATOR = {
+    JSXAttribute (node, state) {
+        let { value } = node;
+        this[node.name.type](node.name, state);
+        if (!value) {
+            return;
+        }
+        state.write('=');
+        // Strings in JSX attributes can't contain escape sequences:
+        if (value.type === 'Literal') {
+            state.write(printJSXString(value), value);
+        } else {
+            this[value.type](value, state);
+        }
+    },
+    JSXClosingElement (node, state) {
+        state.write('</');
+        this[node.name.type](node.name, state);
+        state.write('>');
+    },
+    JSXClosingFragment (node, state) {
+        state.write('</>', node);
+    },
+    JSXElement (node, state) {
+        this[node.openingElement.type](node.openingElement, state);
+        node.children.forEach(child => this[child.type](child, state));
+        if (node.closingElement) {
+            this[node.closingElement.type](node.closingElement, state);
+        }
+    },
+    JSXEmptyExpression () { },
+    JSXExpressionContainer (node, state) {
+        state.write('{');
+        this[node.expression.type](node.expression, state);
+        state.write('}');
+    },
+    JSXFragment (node, state) {
+        this[node.openingFragment.type](node.openingFragment, state);
+        node.children.forEach(child => this[child.type](child, state));
+        this[node.closingFragment.type](node.closingFragment, state);
+    },
+    JSXIdentifier (node, state) {
+        state.write(node.name, node);
+    },
+    JSXMemberExpression (node, state) {
+        this[node.object.type](node.object, state);
+        state.write('.');
+        this[node.property.type](node.property, state);
+    },
+    JSXNamespacedName (node, state) {
+        this[node.namespace.type](node.namespace, state);
+        state.write(':');
+        this[node.name.type](node.name, state);
+    },
+    JSXOpeningElement (node, state) {
+        state.write('<');
+        this[node.name.type](node.name, state);
+        node.attributes.forEach(attribute => {
+            state.write(' ');
+            this[attribute.type](attribute, state);
+        });
+        state.write(node.selfClosing ? ' />' : '>');
+    },
+    JSXOpeningFragment (node, state) {
+        state.write('<>', node);
+    },
+    JSXSpreadAttribute (node, state) {
+        state.write('{...');
+        this[node.argument.type](node.argument, state);
+        state.write('}');
+    },
+    JSXSpreadChild (node, state) {
+        state.write('{...');
+        this[node.expression.type](node.expression, state);
+        state.write('}');
+    },
+    JSXText (node, state) {
+        state.write(node.raw != null ? node.raw : node.value, node);
+    }
+};
+const EXPRESSIONS_PRECEDENCE = {
+    ...astring.EXPRESSIONS_PRECEDENCE,
+    JSXElement: JSX_PRECEDENCE,
+    JSXFragment: JSX_PRECEDENCE
+};
+
+// Other syntax (e.g. TypeScript) can be printed by passing an extension with
+// a `generator` for its nodes, and their `precedence`:
+export function print (node, options = {}, extension = {}) {
+    let { comment, format, verbatim } = options;
+    let generator = {
+        ...astring.GENERATOR,
+        ...JSX_GENERATOR,
+        ...extension.generator,
+        // astring always prints the `raw` text of a literal, even if its
+        // value has since been changed:
+        Literal (literal, state) {
+            if (literal[verbatim]) {
+                state.write(literal[verbatim].content, literal);
+            } else if (literal.regex) {
+                this.RegExpLiteral(literal, state);
+            } else if (literal.bigint != null) {
+                state.write(`${literal.bigint}n`, literal);
+            } else {
+                state.write(printValue(literal.value), literal);
+            }
+        }
+    };
+
+    // astring only prints the trailing comments of a block, not those of
+    // the statements in it:
+    if (comment) {
+        generator.BlockStatement = printTrailingComments(generator.BlockStatement);
+        generator.ClassBody = printTrailingComments(generator.ClassBody);
+    }
+
+    let { indent } = getCodegenFormat(format);
+    return astring.generate(node, {
+        comments: !!comment,
+        expressionsPrecedence: { ...EXPRESSIONS_PRECEDENCE, ...extension.precedence },
+        generator,
+        indent: indent ? indent.style : DEFAULT_INDENT
+    });
+}
+
+function printJSXString (literal) {
+    let { raw, value } = literal;
+    if (raw != null && raw.slice(1, -1) === value) {
+        return raw;
+    }
+    return value.includes(DOUBLE_QUOTE) ? `'${value}'` : `"${value}"`;
+}
+
+function printTrailingComments (printBlock) {
+    return function (node, state) {
+        let last = node.body[node.body.length - 1];
+        if (!last || !last.trailingComments || node.trailingComments) {
+            printBlock.call(this, node, state);
+            return;
+        }
+        node.trailingComments = last.trailingComments;
+        try {
+            printBlock.call(this, node, state);
+        } finally {
+            delete node.trailingComments;
+        }
+    };
+}
+
+function printValue (value) {
+    if (typeof value !== 'string') {
+        return String(value);
+    }
+    let escaped = JSON.stringify(value).slice(1, -1)
+    .replace(ESCAPED_DOUBLE_QUOTE_REGEX, '"')
+    .replace(SINGLE_QUOTE_REGEX, `\\'`);
+    return `'${escaped}'`;
+}
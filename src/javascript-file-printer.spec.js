@@ -0,0 +1,69 @@
+/* global describe:true, it:true */
+
+// Test setup:
+import { expect } from '../test-setup';
+
+// Dependencies:
+import * as acorn from 'acorn';
+import acornJsx from 'acorn-jsx';
+import esquery from 'esquery';
+
+// Under test:
+import { print } from './javascript-file-printer';
+
+describe('tractor-file-javascript: javascript-file-printer:', () => {
+    describe('print:', () => {
+        it('should print JSX', () => {
+            let content = `a(<A.B c="d" {...e} f:g={h}>text {i}{}<></><J /></A.B>);\n`;
+            let ast = acorn.Parser.extend(acornJsx()).parse(content, { ecmaVersion: 'latest' });
+
+            expect(print(ast)).to.equal(content);
+        });
+
+        it('should print strings in JSX attributes without escape sequences', () => {
+            let ast = acorn.Parser.extend(acornJsx()).parse('a(<A b="c" d="e" />);', { ecmaVersion: 'latest' });
+            let [b, d] = esquery(ast, 'JSXAttribute > Literal');
+            b.value = `it's`;
+            d.value = '"e"';
+
+            expect(print(ast)).to.equal(`a(<A b="it's" d='"e"' />);\n`);
+        });
+
+        it('should print literals from their value when it has changed', () => {
+            let ast = acorn.parse(`a("b", 0x1, 'c');`, { ecmaVersion: 'latest' });
+            let [b, one, c] = esquery(ast, 'Literal');
+            b.value = `it's`;
+            one.value = 2;
+
+            expect(print(ast, { verbatim: 'verbatim' })).to.equal(`a('it\\'s', 2, 'c');\n`);
+
+            c.verbatim = { content: `'c'` };
+            expect(print(ast, { verbatim: 'verbatim' })).to.equal(`a('it\\'s', 2, 'c');\n`);
+        });
+
+        it('should use the indent from the `format` option', () => {
+            let ast = acorn.parse('if (a) {\n    b();\n}', { ecmaVersion: 'latest' });
+
+            expect(print(ast)).to.equal('if (a) {\n    b();\n}\n');
+            expect(print(ast, { format: { indent: '\t' } })).to.equal('if (a) {\n\tb();\n}\n');
+        });
+
+        it('should print the comments when the `comment` option is set', () => {
+            let comments = [];
+            let ast = acorn.parse('// comment\na();', { ecmaVersion: 'latest', onComment: comments });
+            ast.comments = comments;
+
+            expect(print(ast)).to.equal('a();\n');
+            expect(print(ast, { comment: true })).to.equal('// comment\na();\n');
+        });
+
+        it('should print the trailing comments of the last statement in a block', () => {
+            let ast = acorn.parse('function a () {\n    b();\n}', { ecmaVersion: 'latest' });
+            let [statement] = esquery(ast, 'ExpressionStatement');
+            statement.trailingComments = [{ type: 'Line', value: ' end' }];
+
+            expect(print(ast, { comment: true })).to.equal('function a() {\n    b();\n    // end\n}\n');
+            expect(statement.trailingComments.length).to.equal(1);
+        });
+    });
+});
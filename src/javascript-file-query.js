@@ -0,0 +1,83 @@
+// Constants:
+const REQUEST_ERROR = 400;
+
+// Dependencies:
+import escodegen from 'escodegen';
+import esquery from 'esquery';
+import estraverse from 'estraverse';
+import { getVisitorKeys } from './javascript-file-backend';
+
+// Errors:
+import { TractorError } from 'tractor-error-handler';
+
+// The visitor keys of TypeScript ASTs include type annotations as well, so
+// that types in TypeScript files can be queried too.
+//
+// Results are cached against the AST, so they are thrown away whenever the
+// file is read or saved and gets a new one:
+let caches = new WeakMap();
+
+export function query (ast, selector) {
+    let cache = getCache(ast);
+    if (!cache.results.has(selector)) {
+        cache.results.set(selector, esquery.match(ast, parseSelector(selector), { visitorKeys: getVisitorKeys(ast) }));
+    }
+    return [...cache.results.get(selector)];
+}
+
+export function queryMatches (ast, content, selector) {
+    let cache = getCache(ast);
+    if (!cache.parents) {
+        cache.parents = getParents(ast);
+    }
+    let { parents } = cache;
+
+    return query(ast, selector).map(node => {
+        let ancestors = [];
+        let parent = parents.get(node);
+        while (parent) {
+            ancestors.push(parent);
+            parent = parents.get(parent);
+        }
+        return { node, loc: node.loc || null, parents: ancestors, source: getSource(node, content) };
+    });
+}
+
+function getCache (ast) {
+    if (!caches.has(ast)) {
+        caches.set(ast, { parents: null, results: new Map() });
+    }
+    return caches.get(ast);
+}
+
+function getParents (ast) {
+    let parents = new Map();
+    estraverse.traverse(ast, {
+        fallback: 'iteration',
+        keys: getVisitorKeys(ast),
+        enter (node, parent) {
+            parents.set(node, parent);
+        }
+    });
+    return parents;
+}
+
+function getSource (node, content) {
+    if (node.range && typeof content === 'string') {
+        let [start, end] = node.range;
+        return content.slice(start, end);
+    }
+    try {
+        return escodegen.generate(node);
+    } catch (e) {
+        return null;
+    }
+}
+
+function parseSelector (selector) {
+    try {
+        return esquery.parse(selector);
+    } catch (e) {
+        throw new TractorError(`Invalid selector "${selector}".`, REQUEST_ERROR);
+    }
+}
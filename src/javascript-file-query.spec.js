@@ -0,0 +1,84 @@
+/* global describe:true, it:true */
+
+// Test setup:
+import { expect, sinon } from '../test-setup';
+
+// Dependencies:
+import * as esprima from 'esprima';
+import esquery from 'esquery';
+import { TractorError } from 'tractor-error-handler';
+
+// Under test:
+import { query, queryMatches } from './javascript-file-query';
+
+describe('tractor-file-javascript: javascript-file-query:', () => {
+    describe('query:', () => {
+        it('should find the nodes that match the selector', () => {
+            let ast = esprima.parseScript('var a = 1;\nvar b = 2;');
+
+            let identifiers = query(ast, 'Identifier');
+
+            expect(identifiers.map(identifier => identifier.name)).to.deep.equal(['a', 'b']);
+        });
+
+        it('should cache the results for the same AST', () => {
+            let ast = esprima.parseScript('var a = 1;');
+
+            sinon.spy(esquery, 'match');
+
+            try {
+                query(ast, 'Identifier');
+                query(ast, 'Identifier');
+                query(esprima.parseScript('var a = 1;'), 'Identifier');
+
+                expect(esquery.match).to.have.been.calledTwice();
+            } finally {
+                esquery.match.restore();
+            }
+        });
+
+        it('should not share the cached results with the caller', () => {
+            let ast = esprima.parseScript('var a = 1;');
+
+            query(ast, 'Identifier').pop();
+
+            expect(query(ast, 'Identifier').length).to.equal(1);
+        });
+
+        it('should throw an error for an invalid selector', () => {
+            let ast = esprima.parseScript('var a = 1;');
+
+            expect(() => query(ast, 'Identifier[')).to.throw(TractorError, 'Invalid selector "Identifier[".');
+        });
+    });
+
+    describe('queryMatches:', () => {
+        it('should include the source, location and parents of each node', () => {
+            let content = 'function step () {\n    return this.action();\n}';
+            let ast = esprima.parseScript(content, { loc: true, range: true });
+
+            let [match] = queryMatches(ast, content, 'CallExpression');
+            let [returnStatement, block, declaration, program] = match.parents;
+
+            expect(match.node.type).to.equal('CallExpression');
+            expect(match.source).to.equal('this.action()');
+            expect(match.loc).to.deep.equal({
+                start: { line: 2, column: 11 },
+                end: { line: 2, column: 24 }
+            });
+            expect(returnStatement.type).to.equal('ReturnStatement');
+            expect(block.type).to.equal('BlockStatement');
+            expect(declaration.type).to.equal('FunctionDeclaration');
+            expect(program).to.equal(ast);
+        });
+
+        it('should generate the source if the node has no range', () => {
+            let ast = esprima.parseScript('var a = 1;');
+
+            let [match] = queryMatches(ast, 'var a = 1;', 'VariableDeclarator');
+
+            expect(match.source).to.equal('a = 1');
+            expect(match.loc).to.equal(null);
+        });
+    });
+});
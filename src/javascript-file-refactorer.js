@@ -1,11 +1,112 @@
+// Constants:
+// Refactors that also refactor the files that reference the refactored file:
+const CROSS_FILE_REFACTORS = ['exportedMemberChange'];
+// Refactors that tractor-file-structure runs on every moved file, which don't
+// change anything in a JavaScript file:
+const FILE_STRUCTURE_REFACTORS = ['fileNameChange', 'referenceNameChange'];
+// The members of a page object that are listed in its metadata:
+const META_MEMBER_TYPES = ['actions', 'elements'];
+const REQUEST_ERROR = 400;
+
 // Dependencies:
 import esquery from 'esquery';
 import path from 'path';
+import { getVisitorKeys } from './javascript-file-backend';
+import { applyRule, isRule } from './javascript-file-codemod';
+import { renameExportedMember, renameMemberReferences } from './javascript-file-members';
+import { getModuleReferences } from './javascript-file-references';
+import { createSpecifier, getModulePath, matchSpecifier, resolveReference } from './javascript-file-resolver';
+import { analyze, findBindings, getRenameConflicts, renameBindings } from './javascript-file-scope';
+
+// Errors:
+import { TractorError } from 'tractor-error-handler';
 
 export const JavaScriptFileRefactorer = {
+    directoryPathChange,
+    exportedMemberChange,
     identifierChange,
     metadataChange,
-    referencePathChange
+    referenceMemberChange,
+    referencePathChange,
+    scopedIdentifierChange
+}
+
+let registeredRefactors = {};
+
+export function getRefactor (type) {
+    if (JavaScriptFileRefactorer.hasOwnProperty(type)) {
+        return JavaScriptFileRefactorer[type];
+    }
+    if (registeredRefactors.hasOwnProperty(type)) {
+        return registeredRefactors[type];
+    }
+    return FILE_STRUCTURE_REFACTORS.includes(type) ? noop : null;
+}
+
+export function isCrossFileRefactor (type) {
+    return CROSS_FILE_REFACTORS.includes(type);
+}
+
+// A refactor is either a function that is called with the AST and data, or a
+// rule that replaces every node that matches a selector:
+export function registerRefactor (type, refactor) {
+    if (getRefactor(type)) {
+        throw new TractorError(`A refactor called "${type}" is already registered.`, REQUEST_ERROR);
+    }
+    if (typeof refactor === 'function') {
+        registeredRefactors[type] = (file, data, options) => refactor(file.ast, data, { file, options });
+        return;
+    }
+    if (isRule(refactor)) {
+        registeredRefactors[type] = (file, data) => applyRule(file.ast, refactor, data);
+        return;
+    }
+    throw new TractorError(`The refactor called "${type}" must be a function or have a "selector" and "replacement".`, REQUEST_ERROR);
+}
+
+export function unregisterRefactor (type) {
+    delete registeredRefactors[type];
+}
+
+function directoryPathChange (file, data) {
+    let { oldPath, newPath } = data;
+
+    // The file might be refactored before or after it has been moved itself:
+    let oldFromPath = file.path;
+    let newFromPath = file.path;
+    if (isWithin(file.path, newPath)) {
+        oldFromPath = movePath(file.path, newPath, oldPath);
+    } else if (isWithin(file.path, oldPath)) {
+        newFromPath = movePath(file.path, oldPath, newPath);
+    }
+
+    let oldDirectoryPath = path.dirname(oldFromPath);
+    let newDirectoryPath = path.dirname(newFromPath);
+    getModuleReferences(file.ast, file.path).references
+    .filter(reference => isStaticSpecifier(reference.node))
+    .forEach(reference => {
+        let modulePath = getModulePath(file, reference.value, oldDirectoryPath);
+        if (!modulePath) {
+            return;
+        }
+        let { alias } = modulePath;
+        let targetMoved = isWithin(modulePath.modulePath, oldPath);
+        if (!targetMoved && (alias || oldDirectoryPath === newDirectoryPath)) {
+            return;
+        }
+        let newModulePath = targetMoved ? movePath(modulePath.modulePath, oldPath, newPath) : modulePath.modulePath;
+        setSpecifier(reference.node, createSpecifier(file, newDirectoryPath, newModulePath, { alias, extension: true }));
+    });
+}
+
+function exportedMemberChange (file, data, options) {
+    let { oldName, newName } = data;
+
+    renameExportedMember(file.ast, oldName, newName);
+    META_MEMBER_TYPES.forEach(type => metadataChange(file, { oldName, newName, type }));
+
+    let referenceMemberChange = { oldName, newName, toPath: file.path };
+    return Promise.all(file.referencedBy.map(reference => reference.refactor('referenceMemberChange', referenceMemberChange, options)));
 }
 
 function identifierChange (file, data) {
@@ -17,28 +118,38 @@ function identifierChange (file, data) {
         query = `${context} > ${query}`;
     }
 
-    esquery(file.ast, query).forEach(identifier => identifier.name = newName);
+    // Identifiers in TypeScript types are renamed too:
+    esquery(file.ast, query, { visitorKeys: getVisitorKeys(file.ast) }).forEach(identifier => identifier.name = newName);
 }
 
 function metadataChange (file, data) {
     let { oldName, newName, type } = data;
-    let { comments } = file.ast;
-    if (!comments) {
+    let meta = file.getMeta();
+    if (!meta) {
         return;
     }
 
-    let [comment] = comments;
-    if (!comment) {
-        return;
-    }
-
-    let metaData = JSON.parse(comment.value);
-    let item = metaData;
+    let item = meta;
     if (type) {
-        item = item[type].find(item => item.name === oldName);
+        let items = Array.isArray(meta[type]) ? meta[type] : [];
+        item = items.find(item => item.name === oldName);
+    }
+    if (!item) {
+        return;
     }
     item.name = newName;
-    comment.value = JSON.stringify(metaData);
+    file.setMeta(meta);
+}
+
+function referenceMemberChange (file, data) {
+    let { oldName, newName, toPath } = data;
+
+    let directoryPath = path.dirname(file.path);
+    let isTarget = modulePath => {
+        let reference = resolveReference(file, modulePath.value);
+        return (reference ? reference.path : path.resolve(directoryPath, modulePath.value)) === toPath;
+    };
+    renameMemberReferences(file.ast, isTarget, oldName, newName);
 }
 
 function referencePathChange (file, data) {
@@ -52,20 +163,55 @@ function referencePathChange (file, data) {
         oldToPath = newToPath = data.toPath;
     }
 
-    let oldRequirePath = getRelativeRequirePath(path.dirname(oldFromPath), oldToPath);
-    let newRequirePath = getRelativeRequirePath(path.dirname(newFromPath), newToPath);
-    updatePaths(file, oldRequirePath, newRequirePath);
+    let oldDirectoryPath = path.dirname(oldFromPath);
+    let newDirectoryPath = path.dirname(newFromPath);
+    getModuleReferences(file.ast, file.path).references
+    .filter(reference => isStaticSpecifier(reference.node))
+    .forEach(reference => {
+        let match = matchSpecifier(file, reference.value, oldDirectoryPath, oldToPath);
+        if (match) {
+            setSpecifier(reference.node, createSpecifier(file, newDirectoryPath, newToPath, match));
+        }
+    });
 }
 
-function getRelativeRequirePath (from, to) {
-    let relativePath = path.relative(from, to).replace(/\\/g, '/');
-    return /^\./.test(relativePath) ? relativePath : `./${relativePath}`;
+function scopedIdentifierChange (file, data) {
+    let { oldName, newName, context } = data;
+
+    let scopeManager = analyze(file.ast);
+    let variables = findBindings(file.ast, scopeManager, oldName, context);
+    let conflicts = getRenameConflicts(scopeManager, variables, newName);
+    if (conflicts.length) {
+        let error = new TractorError(`Cannot rename "${oldName}" to "${newName}" in "${file.path}".`, REQUEST_ERROR);
+        error.conflicts = conflicts;
+        throw error;
+    }
+
+    renameBindings(file.ast, variables, newName);
 }
 
-function updatePaths (file, oldRequirePath, newRequirePath) {
-    let query = `CallExpression[callee.name="require"] Literal[value="${oldRequirePath}"]`;
-    esquery(file.ast, query).forEach(requirePathLiteral => {
-        requirePathLiteral.value = newRequirePath;
-        requirePathLiteral.raw = `'${newRequirePath}'`;
-    });
+function isStaticSpecifier (node) {
+    return node.type === 'Literal' || (node.type === 'TemplateLiteral' && !node.expressions.length);
+}
+
+function isWithin (filePath, directoryPath) {
+    return filePath === directoryPath || filePath.startsWith(`${directoryPath}${path.sep}`);
+}
+
+function movePath (filePath, fromPath, toPath) {
+    return path.join(toPath, path.relative(fromPath, filePath));
+}
+
+function noop () { }
+
+// Keep the original quotes when writing the new path:
+function setSpecifier (node, specifier) {
+    if (node.type === 'TemplateLiteral') {
+        let [quasi] = node.quasis;
+        quasi.value = { raw: specifier, cooked: specifier };
+        return;
+    }
+    let [quote] = node.raw || `'`;
+    node.value = specifier;
+    node.raw = `${quote}${specifier}${quote}`;
 }
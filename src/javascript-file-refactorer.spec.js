@@ -4,16 +4,162 @@
 import { expect, sinon } from '../test-setup';
 
 // Dependencies:
+import escodegen from 'escodegen';
 import * as esprima from 'esprima';
 import esquery from 'esquery';
 import path from 'path';
+import { TractorError } from 'tractor-error-handler';
 import { FileStructure } from 'tractor-file-structure';
 import { JavaScriptFile } from './javascript-file';
 
 // Under test:
-import { JavaScriptFileRefactorer } from './javascript-file-refactorer';
+import { getRefactor, JavaScriptFileRefactorer, registerRefactor, unregisterRefactor } from './javascript-file-refactorer';
 
 describe('tractor-file-javascript: JavaScriptFileRefactorer:', () => {
+    describe('JavaScriptFileRefactorer.directoryPathChange:', () => {
+        it('should update the paths that point into the moved directory', () => {
+            let ast = esprima.parseModule(`
+                import page from "./pages/page.js";
+                import nested from '../directory/pages/nested';
+                import pages from './pages';
+                import other from './pages-other/page';
+            `);
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let filePath = path.join(path.sep, 'file-structure', 'directory', 'file.js');
+            let file = new JavaScriptFile(filePath, fileStructure);
+            file.ast = ast;
+
+            JavaScriptFileRefactorer.directoryPathChange(file, {
+                oldPath: '/file-structure/directory/pages',
+                newPath: '/file-structure/page-objects'
+            });
+
+            expect(escodegen.generate(ast, { parse: esprima.parseScript })).to.equal([
+                'import page from "../page-objects/page.js";',
+                `import nested from '../page-objects/nested';`,
+                `import pages from '../page-objects';`,
+                `import other from './pages-other/page';`
+            ].join('\n'));
+        });
+
+        it('should update the paths in a file that has moved with the directory', () => {
+            let ast = esprima.parseScript(`
+                require('./sibling');
+                require('../other.js');
+                require('@pages/page');
+            `);
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let filePath = path.join(path.sep, 'file-structure', 'new', 'nested', 'file.js');
+            let file = new JavaScriptFile(filePath, fileStructure, { aliases: { '@pages': './pages' } });
+            file.ast = ast;
+
+            JavaScriptFileRefactorer.directoryPathChange(file, {
+                oldPath: '/file-structure/directory',
+                newPath: '/file-structure/new/nested'
+            });
+
+            let requirePaths = esquery(ast, 'CallExpression[callee.name="require"] Literal').map(literal => literal.value);
+            expect(requirePaths).to.deep.equal(['./sibling', '../../other.js', '@pages/page']);
+        });
+
+        it('should update the paths in a file that is about to move with the directory', () => {
+            let ast = esprima.parseScript(`require('../other.js');`);
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let filePath = path.join(path.sep, 'file-structure', 'directory', 'file.js');
+            let file = new JavaScriptFile(filePath, fileStructure);
+            file.ast = ast;
+
+            JavaScriptFileRefactorer.directoryPathChange(file, {
+                oldPath: '/file-structure/directory',
+                newPath: '/file-structure/new/nested'
+            });
+
+            let [requirePath] = esquery(ast, 'CallExpression[callee.name="require"] Literal');
+            expect(requirePath.value).to.equal('../../other.js');
+        });
+
+        it('should keep aliased paths within the alias', () => {
+            let ast = esprima.parseScript(`require('@pages/old/page');`);
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let filePath = path.join(path.sep, 'file-structure', 'directory', 'file.js');
+            let file = new JavaScriptFile(filePath, fileStructure, { aliases: { '@pages': './pages' } });
+            file.ast = ast;
+
+            JavaScriptFileRefactorer.directoryPathChange(file, {
+                oldPath: '/file-structure/pages/old',
+                newPath: '/file-structure/pages/new'
+            });
+
+            let [requirePath] = esquery(ast, 'CallExpression[callee.name="require"] Literal');
+            expect(requirePath.value).to.equal('@pages/new/page');
+        });
+    });
+
+    describe('JavaScriptFileRefactorer.exportedMemberChange:', () => {
+        it(`should rename an exported member in a file's AST`, () => {
+            let ast = esprima.parseScript('module.exports.oldName = function () { };', { range: true });
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let filePath = path.join(path.sep, 'file-structure', 'directory', 'file.js');
+            let file = new JavaScriptFile(filePath, fileStructure);
+            file.ast = ast;
+
+            return JavaScriptFileRefactorer.exportedMemberChange(file, {
+                oldName: 'oldName',
+                newName: 'newName'
+            })
+            .then(() => {
+                let [, identifier] = esquery(ast, 'MemberExpression > Identifier.property');
+                expect(identifier.name).to.equal('newName');
+            });
+        });
+
+        it(`should rename the member in the file's metadata`, () => {
+            let ast = esprima.parseScript([
+                '// { "name": "page", "actions": [{ "name": "oldName" }], "elements": [{ "name": "other" }] }',
+                'var Page = function () { };',
+                'Page.prototype.oldName = function () { };',
+                'module.exports = Page;'
+            ].join('\n'), { comment: true, range: true });
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let filePath = path.join(path.sep, 'file-structure', 'directory', 'file.js');
+            let file = new JavaScriptFile(filePath, fileStructure);
+            file.ast = ast;
+
+            return JavaScriptFileRefactorer.exportedMemberChange(file, {
+                oldName: 'oldName',
+                newName: 'newName'
+            })
+            .then(() => {
+                expect(file.getMeta()).to.deep.equal({ name: 'page', actions: [{ name: 'newName' }], elements: [{ name: 'other' }] });
+            });
+        });
+
+        it('should update the files that reference the file', () => {
+            let ast = esprima.parseScript('module.exports.oldName = function () { };', { range: true });
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let filePath = path.join(path.sep, 'file-structure', 'directory', 'file.js');
+            let file = new JavaScriptFile(filePath, fileStructure);
+            let referencePath = path.join(path.sep, 'file-structure', 'directory', 'reference.js');
+            let reference = new JavaScriptFile(referencePath, fileStructure);
+            file.ast = ast;
+            reference.addReference(file);
+
+            sinon.stub(reference, 'refactor').resolves();
+
+            return JavaScriptFileRefactorer.exportedMemberChange(file, {
+                oldName: 'oldName',
+                newName: 'newName'
+            })
+            .then(() => {
+                expect(reference.refactor).to.have.been.calledWith('referenceMemberChange', {
+                    oldName: 'oldName',
+                    newName: 'newName',
+                    toPath: filePath
+                });
+            });
+        });
+    });
+
     describe('JavaScriptFileRefactorer.identifierChange:', () => {
         it(`should update an identifier in a file's AST`, () => {
             let ast = esprima.parseScript('var oldName');
@@ -95,6 +241,24 @@ describe('tractor-file-javascript: JavaScriptFileRefactorer:', () => {
             expect(pageObject.name).to.equal('new name');
         });
 
+        it(`should do nothing if the metadata doesn't have the given type`, () => {
+            let ast = esprima.parseScript('// { "name": "name" }', { comment: true });
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let filePath = path.join(path.sep, 'file-structure', 'directory', 'file.js');
+
+            let file = new JavaScriptFile(filePath, fileStructure);
+            file.ast = ast;
+
+            JavaScriptFileRefactorer.metadataChange(file, {
+                oldName: 'old name',
+                newName: 'new name',
+                type: 'pageObjects'
+            });
+
+            let [comment] = file.ast.comments;
+            expect(comment.value).to.equal(' { "name": "name" }');
+        });
+
         it(`should do nothing if comments aren't parsed`, () => {
             let ast = esprima.parseScript('// { "page-objects": [{ "name": "old name" }] }');
             let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
@@ -122,6 +286,25 @@ describe('tractor-file-javascript: JavaScriptFileRefactorer:', () => {
         });
     });
 
+    describe('JavaScriptFileRefactorer.referenceMemberChange:', () => {
+        it(`should rename the uses of a referenced file's member`, () => {
+            let ast = esprima.parseScript(`var Page = require('./page.js');\nvar Other = require('./other.js');\nnew Page().oldName();\nnew Other().oldName();`, { range: true });
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let filePath = path.join(path.sep, 'file-structure', 'directory', 'file.js');
+            let file = new JavaScriptFile(filePath, fileStructure);
+            file.ast = ast;
+
+            JavaScriptFileRefactorer.referenceMemberChange(file, {
+                oldName: 'oldName',
+                newName: 'newName',
+                toPath: path.join(path.sep, 'file-structure', 'directory', 'page.js')
+            });
+
+            let names = esquery(ast, 'MemberExpression > Identifier.property').map(identifier => identifier.name);
+            expect(names).to.deep.equal(['newName', 'oldName']);
+        });
+    });
+
     describe('JavaScriptFileRefactorer.referencePathChange:', () => {
         it(`should update the path to another file in a file's AST`, () => {
             let ast = esprima.parse(`var reference = require('./reference.js')`);
@@ -174,6 +357,87 @@ describe('tractor-file-javascript: JavaScriptFileRefactorer:', () => {
             expect(requirePath.value).to.equal('../new/reference/file.js');
         });
 
+        it(`should update the paths in a file's \`import\` and \`export\` declarations`, () => {
+            let ast = esprima.parseModule(`
+                import reference from './oldName.js';
+                export { named } from './oldName.js';
+            `);
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let filePath = path.join(path.sep, 'file-structure', 'directory', 'file');
+            let file = new JavaScriptFile(filePath, fileStructure);
+            file.ast = ast;
+
+            JavaScriptFileRefactorer.referencePathChange(file, {
+                fromPath: '/file-structure/directory/file.js',
+                oldToPath: '/file-structure/directory/oldName.js',
+                newToPath: '/file-structure/directory/newName.js'
+            });
+
+            let [importPath, exportPath] = esquery(ast, 'ImportDeclaration > Literal, ExportNamedDeclaration > Literal');
+            expect(importPath.value).to.equal('./newName.js');
+            expect(exportPath.value).to.equal('./newName.js');
+        });
+
+        it('should match paths that resolve to the moved file and keep their quotes', () => {
+            let ast = esprima.parseScript(`
+                require("../directory/./oldName.js");
+                require('./oldName');
+                require.resolve(\`./oldName\`);
+                require('./other');
+            `);
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let filePath = path.join(path.sep, 'file-structure', 'directory', 'file.js');
+            let file = new JavaScriptFile(filePath, fileStructure);
+            file.ast = ast;
+
+            JavaScriptFileRefactorer.referencePathChange(file, {
+                fromPath: filePath,
+                oldToPath: '/file-structure/directory/oldName.js',
+                newToPath: '/file-structure/directory/new/newName.js'
+            });
+
+            expect(escodegen.generate(ast, { parse: esprima.parseScript })).to.equal([
+                'require("./new/newName.js");',
+                `require('./new/newName');`,
+                'require.resolve(`./new/newName`);',
+                `require('./other');`
+            ].join('\n'));
+        });
+
+        it('should keep directory paths that resolve to an index file', () => {
+            let ast = esprima.parseScript(`require('./utils');`);
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let filePath = path.join(path.sep, 'file-structure', 'directory', 'file.js');
+            let file = new JavaScriptFile(filePath, fileStructure);
+            file.ast = ast;
+
+            JavaScriptFileRefactorer.referencePathChange(file, {
+                oldFromPath: filePath,
+                newFromPath: '/file-structure/file.js',
+                toPath: '/file-structure/directory/utils/index.js'
+            });
+
+            let [requirePath] = esquery(ast, 'CallExpression[callee.name="require"] Literal');
+            expect(requirePath.value).to.equal('./directory/utils');
+        });
+
+        it('should keep aliased paths within the alias', () => {
+            let ast = esprima.parseScript(`require('@pages/oldName');`);
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let filePath = path.join(path.sep, 'file-structure', 'directory', 'file.js');
+            let file = new JavaScriptFile(filePath, fileStructure, { aliases: { '@pages': './pages' } });
+            file.ast = ast;
+
+            JavaScriptFileRefactorer.referencePathChange(file, {
+                fromPath: filePath,
+                oldToPath: '/file-structure/pages/oldName.js',
+                newToPath: '/file-structure/pages/nested/newName.js'
+            });
+
+            let [requirePath] = esquery(ast, 'CallExpression[callee.name="require"] Literal');
+            expect(requirePath.value).to.equal('@pages/nested/newName');
+        });
+
         it('should work with paths from Windows', () => {
             let ast = esprima.parse(`var reference = require('./reference/file.js')`);
             let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
@@ -198,4 +462,117 @@ describe('tractor-file-javascript: JavaScriptFileRefactorer:', () => {
             path.relative.restore();
         });
     });
+
+    describe('JavaScriptFileRefactorer.scopedIdentifierChange:', () => {
+        it(`should rename a binding and its references in a file's AST`, () => {
+            let ast = esprima.parseScript('var oldName = {};\noldName.oldName = function (oldName) { return oldName; };', { range: true });
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let filePath = path.join(path.sep, 'file-structure', 'directory', 'file.js');
+            let file = new JavaScriptFile(filePath, fileStructure);
+            file.ast = ast;
+
+            JavaScriptFileRefactorer.scopedIdentifierChange(file, {
+                oldName: 'oldName',
+                newName: 'newName'
+            });
+
+            let names = esquery(ast, 'Identifier').map(identifier => identifier.name);
+            expect(names).to.deep.equal(['newName', 'newName', 'oldName', 'oldName', 'oldName']);
+        });
+
+        it('should rename a binding within a specific context', () => {
+            let ast = esprima.parseScript('var oldName;\nfunction a (oldName) { return oldName; }', { range: true });
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let filePath = path.join(path.sep, 'file-structure', 'directory', 'file.js');
+            let file = new JavaScriptFile(filePath, fileStructure);
+            file.ast = ast;
+
+            JavaScriptFileRefactorer.scopedIdentifierChange(file, {
+                oldName: 'oldName',
+                newName: 'newName',
+                context: 'FunctionDeclaration'
+            });
+
+            let names = esquery(ast, 'Identifier').map(identifier => identifier.name);
+            expect(names).to.deep.equal(['oldName', 'a', 'newName', 'newName']);
+        });
+
+        it('should throw a TractorError with the conflicts if the new name is already bound', () => {
+            let ast = esprima.parseScript('var oldName;\nvar newName;', { loc: true, range: true });
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let filePath = path.join(path.sep, 'file-structure', 'directory', 'file.js');
+            let file = new JavaScriptFile(filePath, fileStructure);
+            file.ast = ast;
+
+            try {
+                JavaScriptFileRefactorer.scopedIdentifierChange(file, {
+                    oldName: 'oldName',
+                    newName: 'newName'
+                });
+                throw new Error('Should have thrown');
+            } catch (tractorError) {
+                expect(tractorError).to.be.an.instanceof(TractorError);
+                expect(tractorError.message).to.equal(`Cannot rename "oldName" to "newName" in "${filePath}".`);
+                expect(tractorError.conflicts).to.deep.equal([{
+                    column: 5,
+                    description: '"newName" is already declared in the same scope',
+                    line: 1,
+                    name: 'oldName'
+                }]);
+            }
+
+            let [identifier] = esquery(ast, 'Identifier');
+            expect(identifier.name).to.equal('oldName');
+        });
+    });
+
+    describe('registerRefactor:', () => {
+        it('should register a function refactor', () => {
+            let ast = esprima.parseScript('a;');
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let filePath = path.join(path.sep, 'file-structure', 'directory', 'file.js');
+            let file = new JavaScriptFile(filePath, fileStructure);
+            file.ast = ast;
+            let transform = sinon.spy();
+            let data = {};
+
+            registerRefactor('customChange', transform);
+
+            try {
+                getRefactor('customChange')(file, data, {});
+
+                expect(transform).to.have.been.calledWith(ast, data, { file, options: {} });
+            } finally {
+                unregisterRefactor('customChange');
+            }
+        });
+
+        it('should register a rule refactor', () => {
+            let ast = esprima.parseScript('a;');
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let filePath = path.join(path.sep, 'file-structure', 'directory', 'file.js');
+            let file = new JavaScriptFile(filePath, fileStructure);
+            file.ast = ast;
+
+            registerRefactor('customChange', { selector: 'Identifier[name="{{oldName}}"]', replacement: '{{newName}}' });
+
+            try {
+                getRefactor('customChange')(file, { oldName: 'a', newName: 'b' });
+
+                let [identifier] = esquery(ast, 'Identifier');
+                expect(identifier.name).to.equal('b');
+            } finally {
+                unregisterRefactor('customChange');
+            }
+        });
+
+        it('should throw an error if the refactor is already registered', () => {
+            expect(() => registerRefactor('identifierChange', () => {})).to.throw(TractorError, 'A refactor called "identifierChange" is already registered.');
+        });
+
+        it(`should throw an error if the refactor isn't a function or a rule`, () => {
+            expect(() => registerRefactor('customChange', {})).to.throw(TractorError, 'The refactor called "customChange" must be a function or have a "selector" and "replacement".');
+            expect(getRefactor('customChange')).to.equal(null);
+        });
+    });
 });
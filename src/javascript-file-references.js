@@ -0,0 +1,229 @@
+// Constants:
+const IDENTIFIER = 'Identifier';
+const IMPORT_BINDING = 'ImportBinding';
+// esprima can't parse dynamic `import()` expressions, so they are only found
+// with the "acorn" or "typescript" `backend`:
+const MODULE_SPECIFIER_QUERY = [
+    'CallExpression[callee.name="require"] > Literal',
+    'ImportDeclaration > Literal',
+    'ExportNamedDeclaration > Literal',
+    'ExportAllDeclaration > Literal',
+    'ImportExpression > Literal'
+].join(', ');
+const PATH_METHODS = ['join', 'resolve'];
+const PATH_MODULE = 'path';
+const REQUIRE = 'require';
+
+// Dependencies:
+import escodegen from 'escodegen';
+import esquery from 'esquery';
+import path from 'path';
+import { analyze, getTypeNames } from './javascript-file-scope';
+
+export function getModuleSpecifiers (ast) {
+    return esquery(ast, MODULE_SPECIFIER_QUERY);
+}
+
+export function getModuleReferences (ast, filePath, content) {
+    let specifiers = getModuleSpecifiers(ast);
+    let references = specifiers.map(node => ({ node, value: node.value }));
+    let unresolved = [];
+
+    // Calls to `require` that aren't just a string literal might still be
+    // possible to evaluate statically:
+    let requireNames = getRequireNames(ast);
+    let context = { filePath, ...getPathBindings(ast, requireNames) };
+    esquery(ast, 'CallExpression')
+    .filter(call => isRequireCall(call, requireNames) && call.arguments.length)
+    .forEach(call => {
+        let [argument] = call.arguments;
+        if (specifiers.includes(argument)) {
+            return;
+        }
+        let value = evaluate(argument, context);
+        if (typeof value === 'string') {
+            references.push({ node: argument, value });
+        } else {
+            unresolved.push(createUnresolved(call, content));
+        }
+    });
+
+    return { references, unresolved };
+}
+
+// Imported or required modules that are bound to a name that is never read:
+export function getUnusedModules (ast) {
+    if (!ast) {
+        return [];
+    }
+
+    let requireNames = getRequireNames(ast);
+    let scopeManager = analyze(ast);
+    let typeNames = getTypeNames(ast);
+
+    let unused = [];
+    scopeManager.scopes.forEach(scope => {
+        scope.variables
+        .filter(variable => variable.defs.some(def => isModuleBinding(def, requireNames)))
+        .filter(variable => !variable.references.some(reference => reference.isRead()) && !typeNames.includes(variable.name))
+        .forEach(variable => {
+            let [identifier] = variable.identifiers;
+            let [def] = variable.defs;
+            let loaded = def.type === IMPORT_BINDING ? 'imported' : 'required';
+            unused.push(createUnused(identifier, `"${identifier.name}" is ${loaded} but never used.`));
+        });
+    });
+    return unused;
+}
+
+function createUnresolved (call, content) {
+    let unresolved = { source: getSource(call, content) };
+    if (call.loc) {
+        let { line, column } = call.loc.start;
+        unresolved.line = line;
+        unresolved.column = column + 1;
+    }
+    return unresolved;
+}
+
+function createUnused (identifier, description) {
+    let unused = { description, name: identifier.name };
+    if (identifier.loc) {
+        let { line, column } = identifier.loc.start;
+        unused.line = line;
+        unused.column = column + 1;
+    }
+    return unused;
+}
+
+function evaluate (node, context) {
+    let { type } = node;
+    if (type === 'Literal') {
+        return typeof node.value === 'string' ? node.value : undefined;
+    }
+    if (type === 'TemplateLiteral') {
+        let expressions = node.expressions.map(expression => evaluate(expression, context));
+        if (expressions.some(expression => typeof expression !== 'string')) {
+            return undefined;
+        }
+        return node.quasis.reduce((value, quasi, index) => value + quasi.value.cooked + (expressions[index] || ''), '');
+    }
+    if (type === 'BinaryExpression' && node.operator === '+') {
+        let left = evaluate(node.left, context);
+        let right = evaluate(node.right, context);
+        return typeof left === 'string' && typeof right === 'string' ? left + right : undefined;
+    }
+    if (type === IDENTIFIER && node.name === '__dirname') {
+        return path.dirname(context.filePath);
+    }
+    if (type === IDENTIFIER && node.name === '__filename') {
+        return context.filePath;
+    }
+    if (type === 'CallExpression') {
+        return evaluatePathCall(node, context);
+    }
+    return undefined;
+}
+
+function evaluatePathCall (call, context) {
+    let method = getPathMethod(call.callee, context);
+    if (!method) {
+        return undefined;
+    }
+
+    let args = call.arguments.map(argument => evaluate(argument, context));
+    if (args.some(arg => typeof arg !== 'string')) {
+        return undefined;
+    }
+    // `path.resolve` depends on the working directory unless one of its
+    // arguments is absolute:
+    if (method === 'resolve' && !args.some(arg => path.isAbsolute(arg))) {
+        return undefined;
+    }
+    return path[method](...args);
+}
+
+function getPathBindings (ast, requireNames) {
+    let pathNames = [];
+    let pathMethods = {};
+
+    esquery(ast, 'VariableDeclarator[init.type="CallExpression"]')
+    .filter(declarator => isRequireCall(declarator.init, requireNames) && isPathModule(declarator.init.arguments[0]))
+    .forEach(declarator => {
+        let { id } = declarator;
+        if (id.type === IDENTIFIER) {
+            pathNames.push(id.name);
+        } else if (id.type === 'ObjectPattern') {
+            id.properties
+            .filter(property => !property.computed && property.key.type === IDENTIFIER && property.value.type === IDENTIFIER)
+            .forEach(property => pathMethods[property.value.name] = property.key.name);
+        }
+    });
+
+    esquery(ast, 'ImportDeclaration')
+    .filter(importDeclaration => isPathModule(importDeclaration.source))
+    .forEach(importDeclaration => {
+        importDeclaration.specifiers.forEach(specifier => {
+            if (specifier.type === 'ImportSpecifier') {
+                pathMethods[specifier.local.name] = specifier.imported.name;
+            } else {
+                pathNames.push(specifier.local.name);
+            }
+        });
+    });
+
+    return { pathMethods, pathNames };
+}
+
+function getPathMethod (callee, context) {
+    let method = null;
+    if (callee.type === IDENTIFIER) {
+        method = context.pathMethods[callee.name];
+    } else if (callee.type === 'MemberExpression' && !callee.computed && callee.object.type === IDENTIFIER && context.pathNames.includes(callee.object.name)) {
+        method = callee.property.name;
+    }
+    return PATH_METHODS.includes(method) ? method : null;
+}
+
+// `require` can be aliased to another name, e.g. `const load = require;`:
+function getRequireNames (ast) {
+    let aliases = esquery(ast, `VariableDeclarator[id.type="Identifier"][init.type="Identifier"][init.name="${REQUIRE}"]`)
+    .map(declarator => declarator.id.name);
+    return [REQUIRE, ...aliases];
+}
+
+// escodegen can't print everything that the other backends can parse, so the
+// original text is used whenever there is some:
+function getSource (node, content) {
+    if (node.range && typeof content === 'string') {
+        let [start, end] = node.range;
+        return content.slice(start, end);
+    }
+    try {
+        return escodegen.generate(node);
+    } catch (e) {
+        return null;
+    }
+}
+
+function isModuleBinding (def, requireNames) {
+    if (def.type === IMPORT_BINDING) {
+        return true;
+    }
+    let { init } = def.node;
+    return def.type === 'Variable' && !!init && init.type === 'CallExpression' && isRequireCall(init, requireNames);
+}
+
+function isPathModule (node) {
+    return !!node && node.type === 'Literal' && node.value === PATH_MODULE;
+}
+
+function isRequireCall (call, requireNames) {
+    let { callee } = call;
+    if (callee.type === IDENTIFIER) {
+        return requireNames.includes(callee.name);
+    }
+    return callee.type === 'MemberExpression' && !callee.computed &&
+        callee.object.type === IDENTIFIER && requireNames.includes(callee.object.name) &&
+        callee.property.name === 'resolve';
+}
@@ -0,0 +1,227 @@
+/* global describe:true, it:true */
+
+// Test setup:
+import { expect } from '../test-setup';
+
+// Dependencies:
+import * as acorn from 'acorn';
+import * as esprima from 'esprima';
+import path from 'path';
+
+// Under test:
+import { getModuleReferences, getModuleSpecifiers, getUnusedModules } from './javascript-file-references';
+
+describe('tractor-file-javascript: javascript-file-references:', () => {
+    describe('getModuleSpecifiers:', () => {
+        it('should find the paths passed to `require`', () => {
+            let ast = esprima.parseScript(`var reference = require('./reference');`);
+
+            let specifiers = getModuleSpecifiers(ast).map(specifier => specifier.value);
+
+            expect(specifiers).to.deep.equal(['./reference']);
+        });
+
+        it('should find the paths in `import` declarations', () => {
+            let ast = esprima.parseModule(`
+                import reference from './reference';
+                import { named } from './named';
+                import * as namespace from './namespace';
+                import './side-effect';
+            `);
+
+            let specifiers = getModuleSpecifiers(ast).map(specifier => specifier.value);
+
+            expect(specifiers).to.deep.equal(['./reference', './named', './namespace', './side-effect']);
+        });
+
+        it('should find the paths in `export ... from` declarations', () => {
+            let ast = esprima.parseModule(`
+                export { named } from './named';
+                export * from './all';
+            `);
+
+            let specifiers = getModuleSpecifiers(ast).map(specifier => specifier.value);
+
+            expect(specifiers).to.deep.equal(['./named', './all']);
+        });
+
+        it('should find the paths in dynamic `import` expressions', () => {
+            let ast = acorn.parse(`
+                import('./dynamic').then(module => module.default);
+                async function load () {
+                    return await import('./awaited');
+                }
+            `, { ecmaVersion: 'latest', sourceType: 'script' });
+
+            let specifiers = getModuleSpecifiers(ast).map(specifier => specifier.value);
+
+            expect(specifiers).to.deep.equal(['./dynamic', './awaited']);
+        });
+
+        it('should ignore other string literals', () => {
+            let ast = esprima.parseModule(`
+                export const name = 'name';
+                import { named } from './named';
+                console.log('./not-a-reference');
+            `);
+
+            let specifiers = getModuleSpecifiers(ast).map(specifier => specifier.value);
+
+            expect(specifiers).to.deep.equal(['./named']);
+        });
+    });
+
+    describe('getModuleReferences:', () => {
+        let filePath = path.join(path.sep, 'file-structure', 'directory', 'file.js');
+        let directoryPath = path.dirname(filePath);
+
+        it('should include the literal module specifiers', () => {
+            let ast = esprima.parseScript(`var reference = require('./reference');`);
+
+            let { references, unresolved } = getModuleReferences(ast, filePath);
+
+            expect(references.map(reference => reference.value)).to.deep.equal(['./reference']);
+            expect(unresolved).to.deep.equal([]);
+        });
+
+        it('should evaluate `__dirname`, `__filename` and `path` calls', () => {
+            let ast = esprima.parseScript(`
+                var path = require('path');
+                var { join } = require('path');
+                require(path.join(__dirname, 'joined'));
+                require(path.resolve(__dirname, '..', 'resolved'));
+                require(join(__dirname, 'destructured'));
+                require(path.relative(__filename, 'relative'));
+            `);
+
+            let { references, unresolved } = getModuleReferences(ast, filePath);
+
+            expect(references.map(reference => reference.value)).to.deep.equal([
+                'path',
+                'path',
+                path.join(directoryPath, 'joined'),
+                path.join(path.sep, 'file-structure', 'resolved'),
+                path.join(directoryPath, 'destructured')
+            ]);
+            expect(unresolved.map(reference => reference.source)).to.deep.equal([`require(path.relative(__filename, 'relative'))`]);
+        });
+
+        it('should evaluate imported `path` functions', () => {
+            let ast = esprima.parseModule(`
+                import path from 'path';
+                import { join } from 'path';
+                require(path.join('.', 'default'));
+                require(join('.', 'named'));
+            `);
+
+            let { references } = getModuleReferences(ast, filePath);
+
+            expect(references.map(reference => reference.value)).to.deep.equal(['path', 'path', 'default', 'named']);
+        });
+
+        it('should evaluate template literals and string concatenation', () => {
+            let ast = esprima.parseScript(`
+                require(\`./template\`);
+                require(\`\${__dirname}/expression\`);
+                require('./con' + 'catenated');
+            `);
+
+            let { references } = getModuleReferences(ast, filePath);
+
+            expect(references.map(reference => reference.value)).to.deep.equal([
+                './template',
+                `${directoryPath}/expression`,
+                './concatenated'
+            ]);
+        });
+
+        it('should find `require.resolve` and aliased `require` calls', () => {
+            let ast = esprima.parseScript(`
+                var load = require;
+                require.resolve('./resolved');
+                load('./aliased');
+            `);
+
+            let { references } = getModuleReferences(ast, filePath);
+
+            expect(references.map(reference => reference.value)).to.deep.equal(['./resolved', './aliased']);
+        });
+
+        it(`should report calls that can't be evaluated as unresolved`, () => {
+            let ast = esprima.parseScript(`
+                var name = getName();
+                require(name);
+                require(path.resolve('relative'));
+            `, { loc: true });
+
+            let { references, unresolved } = getModuleReferences(ast, filePath);
+
+            expect(references).to.deep.equal([]);
+            expect(unresolved).to.deep.equal([{
+                column: 17,
+                line: 3,
+                source: 'require(name)'
+            }, {
+                column: 17,
+                line: 4,
+                source: `require(path.resolve('relative'))`
+            }]);
+        });
+
+        it('should use the original text of unresolved calls', () => {
+            let content = `const m = require(cfg?.path);`;
+            let ast = acorn.parse(content, { ecmaVersion: 'latest', locations: true, ranges: true });
+
+            let { unresolved } = getModuleReferences(ast, filePath, content);
+
+            expect(unresolved).to.deep.equal([{ column: 11, line: 1, source: 'require(cfg?.path)' }]);
+        });
+
+        it(`shouldn't throw when there is no text and the call can't be generated`, () => {
+            let ast = acorn.parse(`const m = require(cfg?.path);`, { ecmaVersion: 'latest' });
+
+            let { unresolved } = getModuleReferences(ast, filePath);
+
+            expect(unresolved).to.deep.equal([{ source: null }]);
+        });
+    });
+
+    describe('getUnusedModules:', () => {
+        it('should find required modules that are never used', () => {
+            let ast = esprima.parseScript(`
+                var used = require('./used');
+                var unused = require('./unused');
+                var { a, b } = require('./destructured');
+                var other = getOther();
+                used(a);
+            `, { loc: true });
+
+            expect(getUnusedModules(ast)).to.deep.equal([{
+                column: 21,
+                description: '"unused" is required but never used.',
+                line: 3,
+                name: 'unused'
+            }, {
+                column: 26,
+                description: '"b" is required but never used.',
+                line: 4,
+                name: 'b'
+            }]);
+        });
+
+        it('should find imports that are never used', () => {
+            let ast = esprima.parseModule(`
+                import used, { unused } from './used';
+                import * as reexported from './reexported';
+                import './side-effect';
+                export { reexported };
+                used();
+            `);
+
+            expect(getUnusedModules(ast)).to.deep.equal([{
+                description: '"unused" is imported but never used.',
+                name: 'unused'
+            }]);
+        });
+    });
+});
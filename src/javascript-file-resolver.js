@@ -0,0 +1,149 @@
+// Constants:
+const EXTENSIONS = ['.js', '.json', '.mjs', '.ts', '.tsx'];
+const INDEX = 'index';
+const NODE_MODULES = 'node_modules';
+const PACKAGE_JSON = 'package.json';
+const RELATIVE_PATH_REGEX = /^\.\.?(\/|$)/;
+
+// Dependencies:
+import path from 'path';
+
+export function createSpecifier (file, directoryPath, targetPath, match) {
+    let modulePath = targetPath;
+    let extension = path.extname(modulePath);
+    if (!match.extension && EXTENSIONS.includes(extension)) {
+        modulePath = modulePath.slice(0, -extension.length);
+        if (match.index && path.basename(modulePath) === INDEX) {
+            modulePath = path.dirname(modulePath);
+        }
+    }
+
+    if (match.alias) {
+        let aliasPath = getAliasPath(file, match.alias);
+        let relativePath = toPosixPath(path.relative(aliasPath, modulePath));
+        if (!relativePath) {
+            return match.alias;
+        }
+        if (!RELATIVE_PATH_REGEX.test(relativePath) && !path.isAbsolute(relativePath)) {
+            return `${match.alias}/${relativePath}`;
+        }
+    }
+
+    let relativePath = toPosixPath(path.relative(directoryPath, modulePath));
+    return /^\./.test(relativePath) ? relativePath : `./${relativePath}`;
+}
+
+// Works out whether a specifier would load the target, without needing the
+// target to exist, so that it still works once a file has been moved:
+export function matchSpecifier (file, specifier, directoryPath, targetPath) {
+    let { alias, modulePath } = getModulePath(file, specifier, directoryPath) || {};
+    if (!modulePath) {
+        return null;
+    }
+
+    if (modulePath === targetPath) {
+        return { alias, extension: true, index: false };
+    }
+    if (EXTENSIONS.some(extension => `${modulePath}${extension}` === targetPath)) {
+        return { alias, extension: false, index: false };
+    }
+    if (EXTENSIONS.some(extension => path.join(modulePath, `${INDEX}${extension}`) === targetPath)) {
+        return { alias, extension: false, index: true };
+    }
+    return null;
+}
+
+// The path that a relative or aliased specifier points at, before trying any
+// extensions or index files:
+export function getModulePath (file, specifier, directoryPath) {
+    let alias = getAlias(file, specifier);
+    if (alias) {
+        return { alias, modulePath: path.join(getAliasPath(file, alias), specifier.slice(alias.length)) };
+    }
+    if (RELATIVE_PATH_REGEX.test(specifier) || path.isAbsolute(specifier)) {
+        return { alias, modulePath: path.resolve(directoryPath, specifier) };
+    }
+    return null;
+}
+
+// Bare specifiers can load packages and Node.js built-ins from outside of the
+// file structure, so only relative, absolute and aliased specifiers are
+// known to be broken when they don't resolve:
+export function isLocalSpecifier (file, specifier) {
+    return !!getModulePath(file, specifier, path.dirname(file.path));
+}
+
+export function resolveReference (file, specifier) {
+    let { referenceManager } = file.fileStructure;
+    let getFile = filePath => referenceManager.getReference(filePath);
+    let directoryPath = path.dirname(file.path);
+
+    let modulePath = getModulePath(file, specifier, directoryPath);
+    if (modulePath) {
+        return resolvePath(getFile, modulePath.modulePath);
+    }
+    return getModuleDirectories(directoryPath)
+    .reduce((resolved, modulesPath) => resolved || resolvePath(getFile, path.join(modulesPath, specifier)), null);
+}
+
+// Aliases map a specifier prefix to a path, relative to the root of the file structure:
+function getAlias (file, specifier) {
+    let { aliases = {} } = file.options || {};
+    let alias = Object.keys(aliases)
+    .sort((a, b) => b.length - a.length)
+    .find(alias => specifier === alias || specifier.startsWith(`${alias}/`));
+    return alias || null;
+}
+
+function getAliasPath (file, alias) {
+    return path.resolve(file.fileStructure.path, file.options.aliases[alias]);
+}
+
+function getModuleDirectories (directoryPath) {
+    let directories = [];
+    let current = directoryPath;
+    while (current) {
+        if (path.basename(current) !== NODE_MODULES) {
+            directories.push(path.join(current, NODE_MODULES));
+        }
+        let parent = path.dirname(current);
+        current = parent !== current ? parent : null;
+    }
+    return directories;
+}
+
+function getPackageMain (getFile, directoryPath) {
+    let packageFile = getFile(path.join(directoryPath, PACKAGE_JSON));
+    if (!packageFile || !packageFile.content) {
+        return null;
+    }
+    try {
+        let { main } = JSON.parse(packageFile.content);
+        return typeof main === 'string' ? path.resolve(directoryPath, main) : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+function resolveDirectory (getFile, directoryPath) {
+    let main = getPackageMain(getFile, directoryPath);
+    let resolved = main && (resolveFile(getFile, main) || resolveIndex(getFile, main));
+    return resolved || resolveIndex(getFile, directoryPath);
+}
+
+function resolveFile (getFile, filePath) {
+    let candidates = [filePath, ...EXTENSIONS.map(extension => `${filePath}${extension}`)];
+    return candidates.reduce((resolved, candidate) => resolved || getFile(candidate), null);
+}
+
+function resolveIndex (getFile, directoryPath) {
+    return resolveFile(getFile, path.join(directoryPath, INDEX));
+}
+
+function resolvePath (getFile, modulePath) {
+    return resolveFile(getFile, modulePath) || resolveDirectory(getFile, modulePath);
+}
+
+function toPosixPath (filePath) {
+    return filePath.replace(/\\/g, '/');
+}
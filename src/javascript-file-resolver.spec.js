@@ -0,0 +1,172 @@
+/* global describe:true, it:true */
+
+// Test setup:
+import { expect } from '../test-setup';
+
+// Dependencies:
+import path from 'path';
+import { File, FileStructure } from 'tractor-file-structure';
+import { JavaScriptFile } from './javascript-file';
+
+// Under test:
+import { createSpecifier, isLocalSpecifier, matchSpecifier, resolveReference } from './javascript-file-resolver';
+
+describe('tractor-file-javascript: javascript-file-resolver:', () => {
+    describe('matchSpecifier:', () => {
+        let directoryPath = path.join(path.sep, 'file-structure', 'directory');
+
+        it('should match a specifier with or without the extension', () => {
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let file = createFile(fileStructure, 'directory/file.js');
+            let targetPath = path.join(directoryPath, 'utils.js');
+
+            expect(matchSpecifier(file, './utils.js', directoryPath, targetPath)).to.deep.equal({ alias: null, extension: true, index: false });
+            expect(matchSpecifier(file, './utils', directoryPath, targetPath)).to.deep.equal({ alias: null, extension: false, index: false });
+            expect(matchSpecifier(file, './other', directoryPath, targetPath)).to.equal(null);
+            expect(matchSpecifier(file, 'utils', directoryPath, targetPath)).to.equal(null);
+        });
+
+        it('should match a directory specifier', () => {
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let file = createFile(fileStructure, 'directory/file.js');
+            let targetPath = path.join(directoryPath, 'utils', 'index.mjs');
+
+            expect(matchSpecifier(file, './utils', directoryPath, targetPath)).to.deep.equal({ alias: null, extension: false, index: true });
+        });
+
+        it('should match an aliased specifier', () => {
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let file = createFile(fileStructure, 'directory/file.js', { aliases: { '@pages': './pages' } });
+            let targetPath = path.join(path.sep, 'file-structure', 'pages', 'page.js');
+
+            expect(matchSpecifier(file, '@pages/page', directoryPath, targetPath)).to.deep.equal({ alias: '@pages', extension: false, index: false });
+        });
+    });
+
+    describe('createSpecifier:', () => {
+        let directoryPath = path.join(path.sep, 'file-structure', 'directory');
+
+        it('should create a relative specifier', () => {
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let file = createFile(fileStructure, 'directory/file.js');
+
+            expect(createSpecifier(file, directoryPath, path.join(directoryPath, 'utils.js'), { extension: true })).to.equal('./utils.js');
+            expect(createSpecifier(file, directoryPath, path.join(path.sep, 'file-structure', 'utils.js'), { extension: false })).to.equal('../utils');
+            expect(createSpecifier(file, directoryPath, path.join(directoryPath, 'utils', 'index.js'), { extension: false, index: true })).to.equal('./utils');
+        });
+
+        it('should fall back to a relative specifier if the path is outside of the alias', () => {
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let file = createFile(fileStructure, 'directory/file.js', { aliases: { '@pages': './pages' } });
+
+            expect(createSpecifier(file, directoryPath, path.join(path.sep, 'file-structure', 'pages', 'page.js'), { alias: '@pages', extension: true })).to.equal('@pages/page.js');
+            expect(createSpecifier(file, directoryPath, path.join(directoryPath, 'page.js'), { alias: '@pages', extension: true })).to.equal('./page.js');
+        });
+    });
+
+    describe('isLocalSpecifier:', () => {
+        it('should only be true for relative, absolute and aliased specifiers', () => {
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let file = createFile(fileStructure, 'directory/file.js', { aliases: { '@pages': './pages' } });
+
+            expect(isLocalSpecifier(file, './utils')).to.equal(true);
+            expect(isLocalSpecifier(file, '../utils')).to.equal(true);
+            expect(isLocalSpecifier(file, path.join(path.sep, 'utils'))).to.equal(true);
+            expect(isLocalSpecifier(file, '@pages/page')).to.equal(true);
+            expect(isLocalSpecifier(file, 'protractor')).to.equal(false);
+            expect(isLocalSpecifier(file, 'fs')).to.equal(false);
+        });
+    });
+
+    describe('resolveReference:', () => {
+        it('should resolve a relative path to a file', () => {
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let file = createFile(fileStructure, 'directory/file.js');
+            let utils = createFile(fileStructure, 'directory/utils.js');
+
+            expect(resolveReference(file, './utils.js')).to.equal(utils);
+        });
+
+        it('should try each of the module extensions', () => {
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let file = createFile(fileStructure, 'directory/file.js');
+            let data = createFile(fileStructure, 'directory/data.json');
+            let utils = createFile(fileStructure, 'directory/utils.mjs');
+
+            expect(resolveReference(file, './data')).to.equal(data);
+            expect(resolveReference(file, './utils')).to.equal(utils);
+        });
+
+        it('should prefer a file over a directory', () => {
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let file = createFile(fileStructure, 'directory/file.js');
+            let utils = createFile(fileStructure, 'directory/utils.js');
+            createFile(fileStructure, 'directory/utils/index.js');
+
+            expect(resolveReference(file, './utils')).to.equal(utils);
+        });
+
+        it('should resolve a directory to its index file', () => {
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let file = createFile(fileStructure, 'directory/file.js');
+            let index = createFile(fileStructure, 'utils/index.js');
+
+            expect(resolveReference(file, '../utils')).to.equal(index);
+        });
+
+        it('should resolve a directory to the `main` of its `package.json`', () => {
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let file = createFile(fileStructure, 'directory/file.js');
+            let packageJson = new File(path.join(path.sep, 'file-structure', 'utils', 'package.json'), fileStructure);
+            packageJson.content = JSON.stringify({ main: './lib/utils' });
+            let main = createFile(fileStructure, 'utils/lib/utils.js');
+            createFile(fileStructure, 'utils/index.js');
+
+            expect(resolveReference(file, '../utils')).to.equal(main);
+        });
+
+        it('should fall back to the index file if the `package.json` is invalid', () => {
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let file = createFile(fileStructure, 'directory/file.js');
+            let packageJson = new File(path.join(path.sep, 'file-structure', 'utils', 'package.json'), fileStructure);
+            packageJson.content = '{';
+            let index = createFile(fileStructure, 'utils/index.js');
+
+            expect(resolveReference(file, '../utils')).to.equal(index);
+        });
+
+        it('should resolve a package from the closest `node_modules` directory', () => {
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let file = createFile(fileStructure, 'directory/nested/file.js');
+            let closest = createFile(fileStructure, 'directory/node_modules/package/index.js');
+            createFile(fileStructure, 'node_modules/package/index.js');
+            let scoped = createFile(fileStructure, 'node_modules/@scope/package/lib.js');
+
+            expect(resolveReference(file, 'package')).to.equal(closest);
+            expect(resolveReference(file, '@scope/package/lib')).to.equal(scoped);
+        });
+
+        it('should resolve an alias relative to the root of the file structure', () => {
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let file = createFile(fileStructure, 'directory/file.js', { aliases: { '@pages': './pages', '@pages/nested': './nested-pages' } });
+            let page = createFile(fileStructure, 'pages/page.js');
+            let nestedPage = createFile(fileStructure, 'nested-pages/page.js');
+
+            expect(resolveReference(file, '@pages/page')).to.equal(page);
+            expect(resolveReference(file, '@pages/nested/page')).to.equal(nestedPage);
+            expect(resolveReference(file, '@pages-other/page')).to.equal(null);
+        });
+
+        it(`should return null if the specifier can't be resolved`, () => {
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let file = createFile(fileStructure, 'directory/file.js');
+
+            expect(resolveReference(file, './missing')).to.equal(null);
+            expect(resolveReference(file, 'missing')).to.equal(null);
+        });
+    });
+});
+
+function createFile (fileStructure, filePath, options) {
+    return new JavaScriptFile(path.join(path.sep, 'file-structure', ...filePath.split('/')), fileStructure, options);
+}
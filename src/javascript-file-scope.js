@@ -0,0 +1,184 @@
+// Constants:
+const ECMA_VERSION = 2020;
+const IDENTIFIER = 'Identifier';
+const MODULE = 'module';
+const TYPE_REFERENCE_QUERY = [
+    'TSTypeReference Identifier',
+    'TSTypeQuery Identifier',
+    'TSClassImplements Identifier',
+    'TSInterfaceHeritage Identifier'
+].join(', ');
+
+// Dependencies:
+import * as eslintScope from 'eslint-scope';
+import esquery from 'esquery';
+import estraverse from 'estraverse';
+import { getVisitorKeys } from './javascript-file-backend';
+
+// eslint-scope compares ranges to tell default parameters from the function
+// body, so an AST that was parsed without them is given temporary ones:
+export function analyze (ast) {
+    let isModule = ast.sourceType === MODULE;
+    let ranged = ast.range ? [] : addRanges(ast);
+    try {
+        return eslintScope.analyze(ast, {
+            ecmaVersion: ECMA_VERSION,
+            fallback: 'iteration',
+            ignoreEval: true,
+            nodejsScope: !isModule,
+            sourceType: isModule ? MODULE : 'script'
+        });
+    } finally {
+        ranged.forEach(node => delete node.range);
+    }
+}
+
+export function findBindings (ast, scopeManager, name, context) {
+    let variables = getAllVariables(scopeManager).filter(variable => variable.name === name && variable.defs.length);
+
+    if (context) {
+        let identifiers = esquery(ast, `${context} Identifier[name="${name}"]`);
+        return variables.filter(variable => variable.identifiers.some(identifier => identifiers.includes(identifier)));
+    }
+
+    // Without a context, rename the top-level binding, or an implicit global
+    // if nothing at the top level declares the name:
+    let [globalScope] = scopeManager.scopes;
+    let topLevelScopes = [globalScope, ...globalScope.childScopes.filter(scope => scope.type === 'module' || scope.block === ast)];
+    let topLevelVariables = variables.filter(variable => topLevelScopes.includes(variable.scope));
+    if (topLevelVariables.length) {
+        return topLevelVariables;
+    }
+
+    let references = globalScope.through.filter(reference => reference.identifier.name === name);
+    return references.length ? [{ identifiers: [], name, references, scope: globalScope }] : [];
+}
+
+export function getRenameConflicts (scopeManager, variables, newName) {
+    let conflicts = [];
+    variables.forEach(variable => {
+        let declaredScope = variable.scope;
+        if (variable.identifiers.length && declaredScope.set.has(newName)) {
+            conflicts.push(createConflict(variable.identifiers[0], `"${newName}" is already declared in the same scope`));
+        }
+
+        // A new name that is declared between a reference and its declaration
+        // would shadow the renamed binding:
+        variable.references.forEach(reference => {
+            let scope = reference.from;
+            while (scope && scope !== declaredScope) {
+                if (scope.set.has(newName)) {
+                    conflicts.push(createConflict(reference.identifier, `"${newName}" would be shadowed by another declaration`));
+                    break;
+                }
+                scope = scope.upper;
+            }
+        });
+
+        // An existing reference to the new name from inside the renamed
+        // binding's scope would be captured by the renamed binding:
+        getScopesWithin(scopeManager, declaredScope).forEach(scope => {
+            scope.references
+            .filter(reference => reference.identifier.name === newName)
+            .filter(reference => !reference.resolved || !isWithin(reference.resolved.scope, declaredScope))
+            .forEach(reference => {
+                conflicts.push(createConflict(reference.identifier, `"${newName}" already refers to another binding`));
+            });
+        });
+    });
+    return conflicts;
+}
+
+// The scope analysis doesn't know about TypeScript, so the names that are
+// used as types need to be found separately:
+export function getTypeNames (ast) {
+    return esquery(ast, TYPE_REFERENCE_QUERY, { visitorKeys: getVisitorKeys(ast) }).map(identifier => identifier.name);
+}
+
+export function renameBindings (ast, variables, newName) {
+    let identifiers = new Set();
+    variables.forEach(variable => {
+        variable.identifiers.forEach(identifier => identifiers.add(identifier));
+        variable.references.forEach(reference => identifiers.add(reference.identifier));
+    });
+
+    estraverse.traverse(ast, {
+        fallback: 'iteration',
+        enter (node) {
+            if (identifiers.has(node)) {
+                keepPropertyName(node, this.parents().reverse());
+                node.name = newName;
+            }
+        }
+    });
+}
+
+// Only the order of the nodes matters:
+function addRanges (ast) {
+    let nodes = [];
+    estraverse.traverse(ast, {
+        fallback: 'iteration',
+        keys: getVisitorKeys(ast),
+        enter (node) {
+            node.range = [nodes.length, nodes.length];
+            nodes.push(node);
+        }
+    });
+    return nodes;
+}
+
+function cloneIdentifier (identifier) {
+    return { type: IDENTIFIER, name: identifier.name };
+}
+
+function createConflict (identifier, description) {
+    let conflict = { description, name: identifier.name };
+    if (identifier.loc) {
+        let { line, column } = identifier.loc.start;
+        conflict.line = line;
+        conflict.column = column + 1;
+    }
+    return conflict;
+}
+
+function getAllVariables (scopeManager) {
+    return scopeManager.scopes.reduce((variables, scope) => variables.concat(scope.variables), []);
+}
+
+function getScopesWithin (scopeManager, outer) {
+    return scopeManager.scopes.filter(scope => isWithin(scope, outer));
+}
+
+function isWithin (scope, outer) {
+    while (scope) {
+        if (scope === outer) {
+            return true;
+        }
+        scope = scope.upper;
+    }
+    return false;
+}
+
+// Shorthand properties, imports and exports use the same identifier for
+// both names, so the outer name needs to be split out before renaming:
+function keepPropertyName (identifier, ancestors) {
+    let [parent] = ancestors;
+    if (!parent) {
+        return;
+    }
+
+    let { type } = parent;
+    if (type === 'AssignmentPattern' && parent.left === identifier) {
+        return keepPropertyName(parent, ancestors.slice(1));
+    }
+    if (type === 'Property' && parent.shorthand && (parent.key === identifier || parent.value === identifier)) {
+        parent.shorthand = false;
+        parent.key = cloneIdentifier(parent.key);
+    }
+    if (type === 'ImportSpecifier' && parent.local === identifier && parent.imported.name === identifier.name) {
+        parent.imported = cloneIdentifier(parent.imported);
+    }
+    if (type === 'ExportSpecifier' && parent.local === identifier && parent.exported.name === identifier.name) {
+        parent.exported = cloneIdentifier(parent.exported);
+    }
+}
@@ -0,0 +1,171 @@
+/* global describe:true, it:true */
+
+// Test setup:
+import { expect } from '../test-setup';
+
+// Dependencies:
+import escodegen from 'escodegen';
+import * as esprima from 'esprima';
+
+// Under test:
+import { analyze, findBindings, getRenameConflicts, renameBindings } from './javascript-file-scope';
+
+describe('tractor-file-javascript: javascript-file-scope:', () => {
+    describe('analyze:', () => {
+        it('should analyse an AST that was parsed without ranges', () => {
+            let ast = esprima.parseScript('var a = 1;\nfunction b (c = a) {\n    var a = 2;\n}');
+            let scopeManager = analyze(ast);
+
+            let functionScope = scopeManager.scopes.find(scope => scope.block.type === 'FunctionDeclaration');
+            let reference = functionScope.references.find(reference => reference.identifier.name === 'a' && reference.isReadOnly());
+            expect(reference.resolved.scope.block).to.equal(ast);
+            expect(JSON.stringify(ast)).to.not.match(/"range"/);
+        });
+    });
+
+    describe('findBindings:', () => {
+        it('should find the top-level binding with the given name', () => {
+            let ast = parse('var a; function b (a) { return a; }');
+            let scopeManager = analyze(ast);
+
+            let [variable, ...others] = findBindings(ast, scopeManager, 'a');
+
+            expect(others).to.deep.equal([]);
+            expect(variable.scope.block).to.equal(ast);
+        });
+
+        it('should find the binding declared within the given context', () => {
+            let ast = parse('var a; function b (a) { return a; }');
+            let scopeManager = analyze(ast);
+
+            let [variable, ...others] = findBindings(ast, scopeManager, 'a', 'FunctionDeclaration');
+
+            expect(others).to.deep.equal([]);
+            expect(variable.scope.block.type).to.equal('FunctionDeclaration');
+        });
+
+        it('should find the binding in a module', () => {
+            let ast = esprima.parseModule(`import a from './a';`, { range: true });
+            let scopeManager = analyze(ast);
+
+            let [variable] = findBindings(ast, scopeManager, 'a');
+
+            expect(variable.scope.type).to.equal('module');
+        });
+
+        it('should find an implicit global if there is no declaration', () => {
+            let ast = parse('browser.get(); function a () { browser.sleep(); }');
+            let scopeManager = analyze(ast);
+
+            let [variable] = findBindings(ast, scopeManager, 'browser');
+
+            expect(variable.references.length).to.equal(2);
+        });
+
+        it('should return nothing if there is no binding', () => {
+            let ast = parse('var a;');
+            let scopeManager = analyze(ast);
+
+            expect(findBindings(ast, scopeManager, 'b')).to.deep.equal([]);
+        });
+    });
+
+    describe('getRenameConflicts:', () => {
+        it('should find a conflict with a declaration in the same scope', () => {
+            let ast = parse('var a;\nvar b;');
+            let scopeManager = analyze(ast);
+            let variables = findBindings(ast, scopeManager, 'a');
+
+            let conflicts = getRenameConflicts(scopeManager, variables, 'b');
+
+            expect(conflicts).to.deep.equal([{
+                column: 5,
+                description: '"b" is already declared in the same scope',
+                line: 1,
+                name: 'a'
+            }]);
+        });
+
+        it('should find a conflict with a declaration that would shadow the binding', () => {
+            let ast = parse('var a;\nfunction c () {\n    var b;\n    return a;\n}');
+            let scopeManager = analyze(ast);
+            let variables = findBindings(ast, scopeManager, 'a');
+
+            let conflicts = getRenameConflicts(scopeManager, variables, 'b');
+
+            expect(conflicts).to.deep.equal([{
+                column: 12,
+                description: '"b" would be shadowed by another declaration',
+                line: 4,
+                name: 'a'
+            }]);
+        });
+
+        it('should find a conflict with a reference that would be captured by the binding', () => {
+            let ast = parse('var b;\nfunction c () {\n    var a;\n    return b;\n}');
+            let scopeManager = analyze(ast);
+            let variables = findBindings(ast, scopeManager, 'a', 'FunctionDeclaration');
+
+            let conflicts = getRenameConflicts(scopeManager, variables, 'b');
+
+            expect(conflicts).to.deep.equal([{
+                column: 12,
+                description: '"b" already refers to another binding',
+                line: 4,
+                name: 'b'
+            }]);
+        });
+
+        it('should not find conflicts for unrelated bindings', () => {
+            let ast = parse('var a;\nfunction c () {\n    var b;\n}\nfunction d (b) {}');
+            let scopeManager = analyze(ast);
+            let variables = findBindings(ast, scopeManager, 'a');
+
+            expect(getRenameConflicts(scopeManager, variables, 'b')).to.deep.equal([]);
+        });
+    });
+
+    describe('renameBindings:', () => {
+        it('should rename the declaration and its references', () => {
+            let ast = parse('var a = 1;\nfunction c (a) {\n    return a;\n}\nc(a);');
+            let scopeManager = analyze(ast);
+
+            renameBindings(ast, findBindings(ast, scopeManager, 'a'), 'b');
+
+            expect(escodegen.generate(ast)).to.equal('var b = 1;\nfunction c(a) {\n    return a;\n}\nc(b);');
+        });
+
+        it(`shouldn't rename object keys or properties`, () => {
+            let ast = parse('var a = 1;\nvar c = { a: a };\nc.a = a;');
+            let scopeManager = analyze(ast);
+
+            renameBindings(ast, findBindings(ast, scopeManager, 'a'), 'b');
+
+            expect(escodegen.generate(ast)).to.equal('var b = 1;\nvar c = { a: b };\nc.a = b;');
+        });
+
+        it('should keep the names of shorthand properties', () => {
+            let ast = parse('var a = 1;\nvar c = { a };\nvar { d, e = 1 } = c;');
+            let scopeManager = analyze(ast);
+
+            renameBindings(ast, findBindings(ast, scopeManager, 'a'), 'b');
+            renameBindings(ast, findBindings(ast, scopeManager, 'd'), 'f');
+            renameBindings(ast, findBindings(ast, scopeManager, 'e'), 'g');
+
+            expect(escodegen.generate(ast)).to.equal('var b = 1;\nvar c = { a: b };\nvar {\n    d: f,\n    e: g = 1\n} = c;');
+        });
+
+        it('should keep the names of imports and exports', () => {
+            let ast = esprima.parseModule(`import { a } from './a';\nexport { a };`, { range: true });
+            let scopeManager = analyze(ast);
+
+            renameBindings(ast, findBindings(ast, scopeManager, 'a'), 'b');
+
+            expect(escodegen.generate(ast)).to.equal(`import { a as b } from './a';\nexport {\n    b as a\n};`);
+        });
+    });
+});
+
+function parse (javascript) {
+    return esprima.parseScript(javascript, { loc: true, range: true });
+}
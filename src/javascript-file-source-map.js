@@ -0,0 +1,78 @@
+// Constants:
+const INLINE = 'inline';
+const SOURCE_MAPPING_URL_REGEX = /^[#@] sourceMappingURL=/;
+
+// Dependencies:
+import estraverse from 'estraverse';
+import { SourceMapGenerator } from 'source-map';
+import { parse } from './javascript-file-parser';
+
+// The generated code is parsed again and walked alongside the AST it was
+// generated from, so that each generated node can be mapped back to the
+// location of the node it came from:
+export function createSourceMap (ast, code, options) {
+    let { backend, content, ecmaVersion, name, plugins } = options;
+
+    let generated;
+    try {
+        generated = parse(code, { backend, ecmaVersion, loc: true, plugins, sourceType: ast.sourceType }).ast;
+    } catch (e) {
+        return null;
+    }
+
+    let generator = new SourceMapGenerator({ file: name });
+    if (typeof content === 'string') {
+        generator.setSourceContent(name, content);
+    }
+    alignNodes(ast, generated, (original, node) => {
+        let mapping = {
+            generated: node.loc.start,
+            original: original.loc.start,
+            source: name
+        };
+        if (original.type === 'Identifier') {
+            mapping.name = original.name;
+        }
+        generator.addMapping(mapping);
+    });
+    return generator.toJSON();
+}
+
+export function getSourceMappingURL (sourceMap, mapName, type) {
+    if (type === INLINE) {
+        let encoded = Buffer.from(JSON.stringify(sourceMap)).toString('base64');
+        return `data:application/json;charset=utf-8;base64,${encoded}`;
+    }
+    return mapName;
+}
+
+export function isSourceMappingURL (comment) {
+    return SOURCE_MAPPING_URL_REGEX.test(comment.value.trim());
+}
+
+function alignNodes (original, generated, addMapping) {
+    if (!isNode(original) || !isNode(generated) || original.type !== generated.type) {
+        return;
+    }
+    // The whole program would map everything up to the first real mapping:
+    if (original.type !== 'Program' && original.loc && generated.loc) {
+        addMapping(original, generated);
+    }
+
+    let keys = estraverse.VisitorKeys[original.type] || [];
+    keys.forEach(key => {
+        let originalChild = original[key];
+        let generatedChild = generated[key];
+        if (Array.isArray(originalChild) && Array.isArray(generatedChild)) {
+            if (originalChild.length === generatedChild.length) {
+                originalChild.forEach((child, index) => alignNodes(child, generatedChild[index], addMapping));
+            }
+            return;
+        }
+        alignNodes(originalChild, generatedChild, addMapping);
+    });
+}
+
+function isNode (value) {
+    return !!value && typeof value.type === 'string';
+}
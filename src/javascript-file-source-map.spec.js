@@ -0,0 +1,83 @@
+/* global describe:true, it:true */
+
+// Test setup:
+import { expect } from '../test-setup';
+
+// Dependencies:
+import escodegen from 'escodegen';
+import * as esprima from 'esprima';
+import { SourceMapConsumer } from 'source-map';
+
+// Under test:
+import { createSourceMap, getSourceMappingURL, isSourceMappingURL } from './javascript-file-source-map';
+
+describe('tractor-file-javascript: javascript-file-source-map:', () => {
+    describe('createSourceMap:', () => {
+        it('should map the generated code back to the original locations', () => {
+            let content = 'function step () {\n\n\n  return   this.action( \'a\' );\n}\n';
+            let ast = esprima.parseScript(content, { loc: true });
+            let code = escodegen.generate(ast);
+
+            let sourceMap = createSourceMap(ast, code, { content, name: 'file.js' });
+            let consumer = new SourceMapConsumer(sourceMap);
+
+            expect(sourceMap.file).to.equal('file.js');
+            expect(sourceMap.sourcesContent).to.deep.equal([content]);
+            expect(consumer.originalPositionFor({ line: 2, column: 11 })).to.deep.equal({
+                column: 11,
+                line: 4,
+                name: null,
+                source: 'file.js'
+            });
+            expect(consumer.originalPositionFor({ line: 2, column: 16 })).to.deep.equal({
+                column: 16,
+                line: 4,
+                name: 'action',
+                source: 'file.js'
+            });
+        });
+
+        it('should not map nodes without an original location', () => {
+            let content = 'a();';
+            let ast = esprima.parseScript(content, { loc: true });
+            ast.body.unshift({
+                type: 'ExpressionStatement',
+                expression: { type: 'CallExpression', callee: { type: 'Identifier', name: 'b' }, arguments: [] }
+            });
+            let code = escodegen.generate(ast);
+
+            let sourceMap = createSourceMap(ast, code, { content, name: 'file.js' });
+            let consumer = new SourceMapConsumer(sourceMap);
+
+            expect(consumer.originalPositionFor({ line: 1, column: 0 }).line).to.equal(null);
+            expect(consumer.originalPositionFor({ line: 2, column: 0 }).line).to.equal(1);
+        });
+
+        it(`should return null if the generated code can't be parsed`, () => {
+            let ast = esprima.parseScript('a();', { loc: true });
+
+            expect(createSourceMap(ast, 'a(', { name: 'file.js' })).to.equal(null);
+        });
+    });
+
+    describe('getSourceMappingURL:', () => {
+        it('should return the name of the map file', () => {
+            expect(getSourceMappingURL({}, 'file.js.map', 'file')).to.equal('file.js.map');
+        });
+
+        it('should return a data URL for an inline source map', () => {
+            let sourceMap = { version: 3 };
+
+            let url = getSourceMappingURL(sourceMap, 'file.js.map', 'inline');
+
+            expect(url).to.equal(`data:application/json;charset=utf-8;base64,${Buffer.from('{"version":3}').toString('base64')}`);
+        });
+    });
+
+    describe('isSourceMappingURL:', () => {
+        it('should find source mapping URL comments', () => {
+            expect(isSourceMappingURL({ type: 'Line', value: '# sourceMappingURL=file.js.map' })).to.equal(true);
+            expect(isSourceMappingURL({ type: 'Line', value: ' comment' })).to.equal(false);
+        });
+    });
+});
@@ -0,0 +1,467 @@
+// Constants:
+const BLOCK_COMMENT = 'Block';
+const COMMA_LIST_KEYS = ['arguments', 'declarations', 'elements', 'params', 'properties', 'specifiers'];
+const IGNORED_KEYS = ['comments', 'errors', 'innerComments', 'leadingComments', 'loc', 'range', 'tokens', 'trailingComments'];
+const INDENT_REGEX = /^[ \t]*/;
+const LINE_END_REGEX = /^[ \t]*(\/\/.*)?$/;
+const NEW_LINE = '\n';
+const STATEMENT_LIST_KEYS = ['body', 'consequent'];
+const STATEMENT_LIST_TYPES = ['BlockStatement', 'ClassBody', 'Program', 'StaticBlock', 'SwitchCase'];
+const TRAILING_WHITESPACE_REGEX = /[ \t]*$/;
+const WHITESPACE_REGEX = /^[ \t]*$/;
+
+// Utilities:
+import { isObject } from 'util';
+
+// Dependencies:
+import { getBackend } from './javascript-file-backend';
+import { formatSource, getFormat, shouldFormat } from './javascript-file-format';
+import { withRawLiterals } from './javascript-file-literals';
+
+let sources = new WeakMap();
+
+export function trackSource (ast, source) {
+    let signatures = new WeakMap();
+    walk(ast, node => signatures.set(node, getSignature(node)));
+
+    let comments = new Map();
+    (ast.comments || []).forEach(comment => comments.set(comment, comment.value));
+
+    sources.set(ast, { comments, signatures, source });
+}
+
+export function countChanges (ast) {
+    let tracked = sources.get(ast);
+    if (!tracked) {
+        return null;
+    }
+
+    let nodes = 0;
+    let countNodeChanges = node => {
+        let signature = tracked.signatures.get(node);
+        if (!signature || !isUnchanged(node, signature)) {
+            nodes += 1;
+        }
+        if (signature) {
+            getChildren(node).forEach(countNodeChanges);
+        }
+    };
+    countNodeChanges(ast);
+
+    let comments = getCommentEdits(ast, tracked).length;
+    return { comments, nodes };
+}
+
+export function generateSource (ast, file = {}) {
+    let { options = {} } = file;
+    let backend = getBackend(options.backend);
+    let format = getFormat(file.path, options.format);
+    if (options.preserveFormatting) {
+        let printed = printSource(ast, format, backend);
+        if (printed) {
+            return printed.code;
+        }
+    }
+
+    ast.leadingComments = ast.comments;
+    let code = generate(backend, ast, { comment: true, format });
+    return format && shouldFormat(file.path, options.format) ? formatSource(code, format, backend.prettierParser) : code;
+}
+
+export function printSource (ast, format = null, backend = getBackend()) {
+    let tracked = sources.get(ast);
+    if (!tracked) {
+        return null;
+    }
+
+    let nodeEdits = getNodeEdits(ast, { ...tracked, backend, format, nodeComments: ast.comments || [] });
+    if (!nodeEdits) {
+        return null;
+    }
+
+    let commentEdits = getCommentEdits(ast, tracked)
+    .filter(commentEdit => !nodeEdits.some(nodeEdit => isWithin(commentEdit, nodeEdit)));
+
+    let edits = [...nodeEdits, ...commentEdits];
+    let code = applyEdits(tracked.source, edits);
+    return { code, edits };
+}
+
+function applyEdits (source, edits) {
+    return [...edits]
+    .sort((a, b) => b.start - a.start || b.end - a.end)
+    .reduce((code, edit) => code.slice(0, edit.start) + edit.text + code.slice(edit.end), source);
+}
+
+function generate (backend, node, options) {
+    return withRawLiterals(node, verbatim => backend.generate(node, { ...options, verbatim }));
+}
+
+function generateComment (comment) {
+    return comment.type === BLOCK_COMMENT ? `/*${comment.value}*/` : `//${comment.value}`;
+}
+
+function generateNode (node, tracked, indent = getIndent(tracked.source, node.range[0])) {
+    let { backend, format } = tracked;
+    return withComments(node, tracked, () => generate(backend, node, { comment: true, format }))
+    .split(NEW_LINE)
+    .map((line, index) => index === 0 || !line ? line : `${indent}${line}`)
+    .join(NEW_LINE);
+}
+
+// New elements go after the element before them, or before the element after
+// them when they are at the start of the list:
+function getAddedEdit (addition, separator, tracked) {
+    let { element, previous, next } = addition;
+    let { source } = tracked;
+    let anchor = previous || next;
+    let indent = getIndent(source, anchor.range[0]);
+    let text = generateNode(element, tracked, indent);
+
+    if (separator !== NEW_LINE) {
+        let lineSeparator = separator.replace(NEW_LINE, `${NEW_LINE}${indent}`);
+        let [position] = previous ? previous.range.slice(1) : next.range;
+        return { start: position, end: position, text: previous ? `${lineSeparator}${text}` : `${text}${lineSeparator}` };
+    }
+
+    if (previous) {
+        let lineEnd = getLineEnd(source, previous.range[1]);
+        let isLastOnLine = LINE_END_REGEX.test(source.slice(previous.range[1], lineEnd));
+        let position = isLastOnLine ? lineEnd : previous.range[1];
+        return { start: position, end: position, text: isLastOnLine ? `${NEW_LINE}${indent}${text}` : ` ${text}` };
+    }
+    let [position] = next.range;
+    let lineStart = source.lastIndexOf(NEW_LINE, position - 1) + 1;
+    let isFirstOnLine = WHITESPACE_REGEX.test(source.slice(lineStart, position));
+    return { start: position, end: position, text: isFirstOnLine ? `${text}${NEW_LINE}${indent}` : `${text} ` };
+}
+
+function getChildren (node) {
+    return Object.keys(node)
+    .filter(key => !IGNORED_KEYS.includes(key))
+    .reduce((children, key) => {
+        let value = node[key];
+        let values = Array.isArray(value) ? value : [value];
+        return children.concat(values.filter(isNode));
+    }, []);
+}
+
+function getCommentEdits (ast, tracked) {
+    let { comments } = tracked;
+    let current = ast.comments || [];
+    let edits = [];
+
+    comments.forEach((value, comment) => {
+        let [start, end] = comment.range;
+        if (!current.includes(comment)) {
+            edits.push({ start, end, text: '' });
+        } else if (comment.value !== value) {
+            edits.push({ start, end, text: generateComment(comment) });
+        }
+    });
+
+    current
+    .filter(comment => !comments.has(comment))
+    .forEach(comment => edits.push({ start: 0, end: 0, text: `${generateComment(comment)}${NEW_LINE}` }));
+
+    return edits;
+}
+
+// Comments that are inside a regenerated node are attached to the statement
+// that they are in or before, or after the last statement of their block.
+// escodegen reads `leadingComments` and astring reads `comments`:
+function getCommentTargets (node, tracked) {
+    if (!node.range) {
+        return [];
+    }
+
+    let [start, end] = node.range;
+    let containers = [];
+    walk(node, child => {
+        if (getStatementListKey(child)) {
+            containers.push(child);
+        }
+    });
+
+    let targets = [];
+    let attached = tracked.nodeComments
+    .filter(comment => comment.range && comment.range[0] >= start && comment.range[1] <= end)
+    .every(comment => {
+        let container = containers
+        .filter(child => isWithin(toEdit(comment), toEdit(child)))
+        .sort((a, b) => b.range[0] - a.range[0])[0];
+        if (!container) {
+            return false;
+        }
+        let statements = container[getStatementListKey(container)];
+        let statement = statements.find(child => child.range && child.range[1] > comment.range[0]);
+        let last = statements[statements.length - 1];
+        if (statement) {
+            targets.push({ comment, keys: ['comments', 'leadingComments'], target: statement });
+        } else if (last) {
+            targets.push({ comment, keys: ['trailingComments'], target: last });
+        } else {
+            targets.push({ comment, keys: ['comments'], target: container });
+        }
+        return true;
+    });
+    return attached ? targets : null;
+}
+
+function getElementEdits (node, key, original, tracked) {
+    let elements = node[key];
+    let separator = getListSeparator(node, key, original, tracked.source);
+    let retained = elements.filter(element => original.includes(element));
+    let isInOrder = retained.every((element, index) => !index || original.indexOf(element) > original.indexOf(retained[index - 1]));
+    if (!separator || !retained.length || !isInOrder || !elements.every(isNode) || !original.every(element => element.range)) {
+        return null;
+    }
+
+    let edits = getRemovedEdits(original.filter(element => !retained.includes(element)), original, separator, tracked.source);
+    for (let i = 0; i < retained.length; i += 1) {
+        let childEdits = getNodeEdits(retained[i], tracked);
+        if (!childEdits) {
+            return null;
+        }
+        edits.push(...childEdits);
+    }
+
+    let added = [];
+    elements.forEach((element, index) => {
+        if (retained.includes(element)) {
+            return;
+        }
+        let previous = elements.slice(0, index).filter(other => retained.includes(other)).pop();
+        let next = elements.slice(index).find(other => retained.includes(other));
+        added.push({ element, previous, next });
+    });
+    try {
+        edits.push(...added.map(addition => getAddedEdit(addition, separator, tracked)));
+    } catch (e) {
+        return null;
+    }
+    return edits;
+}
+
+function getIndent (source, start) {
+    let lineStart = source.lastIndexOf(NEW_LINE, start - 1) + 1;
+    let [indent] = INDENT_REGEX.exec(source.slice(lineStart, start));
+    return indent;
+}
+
+function getLineEnd (source, index) {
+    let lineEnd = source.indexOf(NEW_LINE, index);
+    return lineEnd === -1 ? source.length : lineEnd;
+}
+
+// When the only change to a node is that elements have been added to or
+// removed from its lists (e.g. the statements of a function body), just
+// those elements are edited so that the rest of the formatting is kept:
+function getListEdits (node, signature, tracked) {
+    let current = getSignature(node);
+    if (current.length !== signature.length) {
+        return null;
+    }
+
+    let edits = [];
+    for (let i = 0; i < current.length; i += 1) {
+        let [key, value] = current[i];
+        let [originalKey, originalValue] = signature[i];
+        if (key !== originalKey) {
+            return null;
+        }
+
+        let childEdits = null;
+        if (isSameSignatureValue(value, originalValue)) {
+            let children = (Array.isArray(value) ? value : [value]).filter(isNode);
+            childEdits = children.map(child => getNodeEdits(child, tracked));
+            childEdits = childEdits.every(Boolean) ? [].concat(...childEdits) : null;
+        } else if (Array.isArray(value) && Array.isArray(originalValue)) {
+            childEdits = getElementEdits(node, key, originalValue, tracked);
+        }
+        if (!childEdits) {
+            return null;
+        }
+        edits.push(...childEdits);
+    }
+    return edits;
+}
+
+// Statements go on their own lines, unless they shared a line to start with,
+// and so do comma separated elements that were on their own lines:
+function getListSeparator (node, key, original, source) {
+    if (getStatementListKey(node) === key) {
+        return NEW_LINE;
+    }
+    let isMixedImport = node.type === 'ImportDeclaration' && node.specifiers.some(specifier => specifier.type !== 'ImportSpecifier');
+    if (!COMMA_LIST_KEYS.includes(key) || isMixedImport) {
+        return null;
+    }
+    let [first, second] = original;
+    let isMultiline = !!second && first.range && second.range && source.slice(first.range[1], second.range[0]).includes(NEW_LINE);
+    return isMultiline ? `,${NEW_LINE}` : ', ';
+}
+
+function getNodeEdits (node, tracked) {
+    let signature = tracked.signatures.get(node);
+    if (!signature || !node.range) {
+        return null;
+    }
+
+    if (isUnchanged(node, signature)) {
+        let edits = [];
+        let children = getChildren(node);
+        for (let i = 0; i < children.length; i += 1) {
+            let childEdits = getNodeEdits(children[i], tracked);
+            if (!childEdits) {
+                return getRegeneratedEdit(node, tracked);
+            }
+            edits.push(...childEdits);
+        }
+        return edits;
+    }
+    return getListEdits(node, signature, tracked) || getRegeneratedEdit(node, tracked);
+}
+
+function getRegeneratedEdit (node, tracked) {
+    // The root node can't be regenerated in place, so the whole file
+    // needs to be regenerated instead:
+    if (!node.range || node.type === 'Program') {
+        return null;
+    }
+
+    let text;
+    try {
+        text = generateNode(node, tracked);
+    } catch (e) {
+        // Some nodes (e.g. `SwitchCase`) can't be generated on their own, or
+        // without losing their comments, so their parent has to be
+        // regenerated instead:
+        return null;
+    }
+    let [start, end] = node.range;
+    return [{ start, end, text }];
+}
+
+function getRemovedEdits (removed, original, separator, source) {
+    if (separator === NEW_LINE) {
+        return removed.map(element => getRemovedStatementEdit(element, source));
+    }
+
+    // A removed element takes the separator after it with it, unless it is
+    // at the end of the list, when it takes the one before it instead:
+    let lastRetained = original.filter(element => !removed.includes(element)).pop();
+    let edits = removed
+    .filter(element => original.indexOf(element) < original.indexOf(lastRetained))
+    .map(element => ({ start: element.range[0], end: original[original.indexOf(element) + 1].range[0], text: '' }));
+    let trailing = original.slice(original.indexOf(lastRetained) + 1);
+    if (trailing.length) {
+        edits.push({ start: lastRetained.range[1], end: trailing[trailing.length - 1].range[1], text: '' });
+    }
+    return edits;
+}
+
+// A statement on its own line takes its whole line with it:
+function getRemovedStatementEdit (statement, source) {
+    let [start, end] = statement.range;
+    let lineStart = source.lastIndexOf(NEW_LINE, start - 1) + 1;
+    let lineEnd = getLineEnd(source, end);
+    let isFirstOnLine = WHITESPACE_REGEX.test(source.slice(lineStart, start));
+    let isLastOnLine = WHITESPACE_REGEX.test(source.slice(end, lineEnd));
+    if (isFirstOnLine && isLastOnLine) {
+        return { start: lineStart, end: Math.min(lineEnd + 1, source.length), text: '' };
+    }
+    // Otherwise it takes the whitespace between it and the statement next
+    // to it on the same line:
+    if (isLastOnLine) {
+        let [leadingWhitespace] = TRAILING_WHITESPACE_REGEX.exec(source.slice(lineStart, start));
+        return { start: start - leadingWhitespace.length, end: lineEnd, text: '' };
+    }
+    let [trailingWhitespace] = INDENT_REGEX.exec(source.slice(end));
+    return { start, end: end + trailingWhitespace.length, text: '' };
+}
+
+function getSignature (node) {
+    return Object.keys(node)
+    .filter(key => !IGNORED_KEYS.includes(key))
+    .map(key => [key, getSignatureValue(node[key])]);
+}
+
+function getSignatureValue (value) {
+    if (Array.isArray(value)) {
+        return value.map(getSignatureValue);
+    }
+    if (isNode(value)) {
+        return value;
+    }
+    if (value instanceof RegExp) {
+        return value.toString();
+    }
+    if (isObject(value)) {
+        return JSON.stringify(value);
+    }
+    return value;
+}
+
+function getStatementListKey (node) {
+    if (!STATEMENT_LIST_TYPES.includes(node.type)) {
+        return null;
+    }
+    return STATEMENT_LIST_KEYS.find(key => Array.isArray(node[key])) || null;
+}
+
+function isNode (value) {
+    return isObject(value) && typeof value.type === 'string';
+}
+
+function isSameSignatureValue (a, b) {
+    if (Array.isArray(a) && Array.isArray(b)) {
+        return a.length === b.length && a.every((value, index) => isSameSignatureValue(value, b[index]));
+    }
+    return a === b;
+}
+
+function isUnchanged (node, signature) {
+    let current = getSignature(node);
+    return current.length === signature.length && current.every(([key, value], index) => {
+        let [originalKey, originalValue] = signature[index];
+        return key === originalKey && isSameSignatureValue(value, originalValue);
+    });
+}
+
+function isWithin (inner, outer) {
+    return inner.start >= outer.start && inner.end <= outer.end;
+}
+
+function toEdit (node) {
+    let [start, end] = node.range;
+    return { start, end };
+}
+
+function walk (node, callback) {
+    callback(node);
+    getChildren(node).forEach(child => walk(child, callback));
+}
+
+// The comments are only attached for as long as the callback runs:
+function withComments (node, tracked, callback) {
+    let targets = getCommentTargets(node, tracked);
+    if (!targets) {
+        throw new Error('Comments would be lost.');
+    }
+
+    let attached = [];
+    targets.forEach(({ comment, keys, target }) => {
+        keys.forEach(key => {
+            target[key] = target[key] || [];
+            target[key].push(comment);
+            attached.push([target, key]);
+        });
+    });
+
+    try {
+        return callback();
+    } finally {
+        attached.forEach(([target, key]) => delete target[key]);
+    }
+}
@@ -0,0 +1,411 @@
+/* global describe:true, it:true */
+
+// Test setup:
+import { expect, sinon } from '../test-setup';
+
+// Dependencies:
+import { parse } from '@typescript-eslint/typescript-estree';
+import * as acorn from 'acorn';
+import * as esprima from 'esprima';
+import esquery from 'esquery';
+import path from 'path';
+import prettier from 'prettier';
+import { getBackend } from './javascript-file-backend';
+
+// Under test:
+import { countChanges, generateSource, printSource, trackSource } from './javascript-file-source';
+
+describe('tractor-file-javascript: javascript-file-source:', () => {
+    describe('countChanges:', () => {
+        it(`should return null if the AST isn't being tracked`, () => {
+            let ast = esprima.parseScript('var a', { range: true });
+
+            expect(countChanges(ast)).to.equal(null);
+        });
+
+        it('should count the nodes and comments that have changed', () => {
+            let source = '// comment\nvar a = { b };\nvar c;';
+            let ast = esprima.parseScript(source, { comment: true, range: true });
+            trackSource(ast, source);
+
+            let [property] = esquery(ast, 'Property');
+            property.shorthand = false;
+            property.key = { type: 'Identifier', name: 'd' };
+            let [comment] = ast.comments;
+            comment.value = ' changed';
+
+            expect(countChanges(ast)).to.deep.equal({ comments: 1, nodes: 2 });
+        });
+    });
+
+    describe('generateSource:', () => {
+        it('should keep the original quotes of string literals', () => {
+            let ast = esprima.parseScript(`var a = "a";\nvar b = 'b';`);
+
+            expect(generateSource(ast)).to.equal(`var a = "a";\nvar b = 'b';`);
+        });
+
+        it('should not keep the original quotes of a literal whose value has changed', () => {
+            let ast = esprima.parseScript(`var a = "a";`);
+            let [literal] = esquery(ast, 'Literal');
+            literal.value = 'b';
+
+            expect(generateSource(ast)).to.equal(`var a = 'b';`);
+        });
+
+        it('should apply the `format` option', () => {
+            let ast = esprima.parseScript('if (a) {\n    b();\n}');
+            let [call] = esquery(ast, 'CallExpression');
+            call.arguments.push({ type: 'Literal', value: 'c' });
+
+            expect(generateSource(ast, { options: { format: { indent: 2, quotes: 'double', semicolons: false } } })).to.equal('if (a) {\n  b("c")\n}\n');
+        });
+
+        it('should only use the indentation from an .editorconfig without a prettier config', () => {
+            let ast = esprima.parseScript(`var a = 'x';\nif (a) {\n    b();\n}`);
+            sinon.stub(prettier.resolveConfig, 'sync').returns({ tabWidth: 2, useTabs: false });
+            sinon.stub(prettier.resolveConfigFile, 'sync').returns(null);
+
+            try {
+                expect(generateSource(ast, { path: path.join(path.sep, 'file-structure', 'file.js') })).to.equal(`var a = 'x';\nif (a) {\n  b();\n}`);
+            } finally {
+                prettier.resolveConfig.sync.restore();
+                prettier.resolveConfigFile.sync.restore();
+            }
+        });
+
+        it('should format TypeScript with the prettier parser of the backend', () => {
+            let ast = parse(`let a: number = 1;\nfunction b(c: string): void {}`);
+
+            expect(generateSource(ast, { options: { backend: 'typescript', format: { indent: 2 } } })).to.equal(`let a: number = 1;\nfunction b(c: string): void {}\n`);
+        });
+
+        it('should apply the `format` option to changed nodes when `preserveFormatting` is set', () => {
+            let source = 'var a   =   1;\nif (a) {\n    b(\'b\');\n}';
+            let ast = esprima.parseScript(source, { range: true });
+            trackSource(ast, source);
+            let [ifStatement] = esquery(ast, 'IfStatement');
+            ifStatement.test = { type: 'Identifier', name: 'c' };
+
+            expect(generateSource(ast, { options: { format: { indent: 2 }, preserveFormatting: true } })).to.equal('var a   =   1;\nif (c) {\n  b(\'b\');\n}');
+        });
+
+        it('should only regenerate the changed nodes when `preserveFormatting` is set', () => {
+            let source = 'var a   =   1;\nvar b = 2;';
+            let ast = esprima.parseScript(source, { range: true });
+            trackSource(ast, source);
+            let [, identifier] = esquery(ast, 'Identifier');
+            identifier.name = 'c';
+
+            expect(generateSource(ast, { options: { preserveFormatting: true } })).to.equal('var a   =   1;\nvar c = 2;');
+        });
+    });
+
+    describe('printSource:', () => {
+        it(`should return null if the AST isn't being tracked`, () => {
+            let ast = esprima.parseScript('var a', { range: true });
+
+            expect(printSource(ast)).to.equal(null);
+        });
+
+        it('should return the original source if nothing has changed', () => {
+            let source = `
+// comment
+function  a ( b,c ) {
+
+    return  b+c;
+}
+`;
+            let ast = esprima.parseScript(source, { comment: true, range: true });
+            trackSource(ast, source);
+
+            let { code, edits } = printSource(ast);
+
+            expect(code).to.equal(source);
+            expect(edits).to.deep.equal([]);
+        });
+
+        it('should only regenerate the nodes that have changed', () => {
+            let source = `
+var  a = require("./a");
+
+
+function  a ( b,c ) {
+    return  b+c;
+}
+`;
+            let ast = esprima.parseScript(source, { comment: true, range: true });
+            trackSource(ast, source);
+
+            esquery(ast, 'FunctionDeclaration > Identifier.id').forEach(identifier => identifier.name = 'd');
+
+            let { code, edits } = printSource(ast);
+
+            expect(code).to.equal(`
+var  a = require("./a");
+
+
+function  d ( b,c ) {
+    return  b+c;
+}
+`);
+            expect(edits.length).to.equal(1);
+        });
+
+        it('should regenerate a node when its children are replaced', () => {
+            let source = `
+function a () {
+    var b = { c };
+}
+`;
+            let ast = esprima.parseScript(source, { comment: true, range: true });
+            trackSource(ast, source);
+
+            let [property] = esquery(ast, 'Property');
+            property.shorthand = false;
+            property.value = { type: 'Identifier', name: 'd' };
+
+            let { code } = printSource(ast);
+
+            expect(code).to.equal(`
+function a () {
+    var b = { c: d };
+}
+`);
+        });
+
+        it('should keep the indentation of regenerated nodes', () => {
+            let source = `
+function a () {
+    var b = {  c: 1 };
+}
+`;
+            let ast = esprima.parseScript(source, { comment: true, range: true });
+            trackSource(ast, source);
+
+            let [declarator] = esquery(ast, 'VariableDeclarator');
+            declarator.init = {
+                type: 'ObjectExpression',
+                properties: [...declarator.init.properties, createProperty('d', 2)]
+            };
+
+            let { code } = printSource(ast);
+
+            expect(code).to.equal(`
+function a () {
+    var b = {
+        c: 1,
+        d: 2
+    };
+}
+`);
+        });
+
+        it('should only add the new statements to a list of statements', () => {
+            let source = `
+function a () {
+    // IMPORTANT: keep this
+    b();   // trailing
+
+    c();
+}
+`;
+            let ast = esprima.parseScript(source, { comment: true, range: true });
+            trackSource(ast, source);
+
+            let [block] = esquery(ast, 'BlockStatement');
+            block.body.splice(1, 0, esprima.parseScript('d(e);').body[0]);
+            block.body.push(esprima.parseScript('if (f) {\n g();\n}').body[0]);
+
+            let { code } = printSource(ast);
+
+            expect(code).to.equal(`
+function a () {
+    // IMPORTANT: keep this
+    b();   // trailing
+    d(e);
+
+    c();
+    if (f) {
+        g();
+    }
+}
+`);
+        });
+
+        it('should only remove the statements that have been removed from a list of statements', () => {
+            let source = `
+function a () {
+    b();
+    // comment
+    c();   d();
+
+    e();
+}
+`;
+            let ast = esprima.parseScript(source, { comment: true, range: true });
+            trackSource(ast, source);
+
+            let [block] = esquery(ast, 'BlockStatement');
+            block.body = block.body.filter((statement, index) => index % 2 === 1);
+
+            let { code } = printSource(ast);
+
+            expect(code).to.equal(`
+function a () {
+    // comment
+    c();
+
+    e();
+}
+`);
+        });
+
+        it('should only edit the elements that have changed in a comma separated list', () => {
+            let source = `
+var a = {  b: 1 };
+call(c,  d,  e);
+var f = {
+    g: 1,
+    h: 2
+};
+`;
+            let ast = esprima.parseScript(source, { comment: true, range: true });
+            trackSource(ast, source);
+
+            let [a, f] = esquery(ast, 'ObjectExpression');
+            a.properties.push(createProperty('i', 2));
+            f.properties.splice(1, 1, createProperty('j', 3));
+            let [call] = esquery(ast, 'CallExpression');
+            call.arguments.splice(1, 2);
+
+            let { code } = printSource(ast);
+
+            expect(code).to.equal(`
+var a = {  b: 1, i: 2 };
+call(c);
+var f = {
+    g: 1,
+    j: 3
+};
+`);
+        });
+
+        it('should keep the comments inside a node that is regenerated with astring', () => {
+            let source = `
+call(function () {
+    // IMPORTANT: keep this
+    a();
+    // end
+});
+`;
+            let comments = [];
+            let ast = acorn.parse(source, { ecmaVersion: 'latest', onComment: comments, ranges: true });
+            ast.comments = comments;
+            trackSource(ast, source);
+
+            let [call] = esquery(ast, 'CallExpression[callee.name="call"]');
+            call.callee = { type: 'Identifier', name: 'other' };
+
+            let { code } = printSource(ast, null, getBackend('acorn'));
+
+            expect(code).to.equal(`
+other(function () {
+    // IMPORTANT: keep this
+    a();
+    // end
+});
+`);
+        });
+
+        it('should keep the comments inside a node that is regenerated with escodegen', () => {
+            let source = `
+call(function () {
+    // IMPORTANT: keep this
+    a();
+    /* end */
+});
+`;
+            let ast = esprima.parseScript(source, { comment: true, range: true });
+            trackSource(ast, source);
+
+            let [call] = esquery(ast, 'CallExpression[callee.name="call"]');
+            call.callee = { type: 'Identifier', name: 'other' };
+
+            let { code } = printSource(ast);
+
+            expect(code).to.equal(`
+other(function () {
+    // IMPORTANT: keep this
+    a();    /* end */
+});
+`);
+        });
+
+        it('should return null if the root node has changed', () => {
+            let source = 'var a;';
+            let ast = esprima.parseScript(source, { comment: true, range: true });
+            trackSource(ast, source);
+
+            ast.body = [];
+
+            expect(printSource(ast)).to.equal(null);
+        });
+
+        it('should update comments that have changed', () => {
+            let source = `// { "name": "old" }
+/* block */
+var a;
+`;
+            let ast = esprima.parseScript(source, { comment: true, range: true });
+            trackSource(ast, source);
+
+            let [lineComment, blockComment] = ast.comments;
+            lineComment.value = ' { "name": "new" }';
+            blockComment.value = ' new block ';
+
+            let { code } = printSource(ast);
+
+            expect(code).to.equal(`// { "name": "new" }
+/* new block */
+var a;
+`);
+        });
+
+        it('should add new comments to the start of the file', () => {
+            let source = 'var a;\n';
+            let ast = esprima.parseScript(source, { comment: true, range: true });
+            trackSource(ast, source);
+
+            ast.comments.push({ type: 'Line', value: ' comment' });
+
+            let { code } = printSource(ast);
+
+            expect(code).to.equal('// comment\nvar a;\n');
+        });
+
+        it('should remove comments that have been removed', () => {
+            let source = '/* comment */var a;\n';
+            let ast = esprima.parseScript(source, { comment: true, range: true });
+            trackSource(ast, source);
+
+            ast.comments = [];
+
+            let { code } = printSource(ast);
+
+            expect(code).to.equal('var a;\n');
+        });
+    });
+});
+
+function createProperty (name, value) {
+    return {
+        type: 'Property',
+        key: { type: 'Identifier', name },
+        value: { type: 'Literal', value, raw: String(value) },
+        kind: 'init',
+        computed: false,
+        method: false,
+        shorthand: false
+    };
+}
@@ -0,0 +1,39 @@
+// Constants:
+const STEP_KEYWORDS = ['defineStep', 'Given', 'Then', 'When'];
+
+// Dependencies:
+import esquery from 'esquery';
+
+// Cucumber steps are registered with `Given(...)` or `this.Given(...)` and a
+// string, template or regular expression pattern:
+export function getSteps (ast) {
+    return esquery(ast, 'CallExpression').filter(isStep);
+}
+
+export function getStepKeyword (call) {
+    let { callee } = call;
+    return callee.type === 'Identifier' ? callee.name : callee.property.name;
+}
+
+export function getStepPattern (call) {
+    let [pattern] = call.arguments;
+    if (pattern.type === 'TemplateLiteral') {
+        return pattern.quasis[0].value.cooked;
+    }
+    return pattern.regex ? pattern.regex.pattern : pattern.value;
+}
+
+export function isStep (call) {
+    let { callee } = call;
+    let isStepCallee = (callee.type === 'Identifier' && STEP_KEYWORDS.includes(callee.name)) ||
+        (callee.type === 'MemberExpression' && !callee.computed && callee.object.type === 'ThisExpression' && STEP_KEYWORDS.includes(callee.property.name));
+    if (!isStepCallee || !call.arguments.length) {
+        return false;
+    }
+
+    let [pattern] = call.arguments;
+    if (pattern.type === 'TemplateLiteral') {
+        return !pattern.expressions.length;
+    }
+    return pattern.type === 'Literal' && (!!pattern.regex || typeof pattern.value === 'string');
+}
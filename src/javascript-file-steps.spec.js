@@ -0,0 +1,30 @@
+/* global describe:true, it:true */
+
+// Test setup:
+import { expect } from '../test-setup';
+
+// Dependencies:
+import * as esprima from 'esprima';
+
+// Under test:
+import { getStepKeyword, getStepPattern, getSteps } from './javascript-file-steps';
+
+describe('tractor-file-javascript: javascript-file-steps:', () => {
+    describe('getSteps:', () => {
+        it('should find the Cucumber steps that are registered', () => {
+            let ast = esprima.parseScript([
+                'this.Given(/^a$/, function () {});',
+                'When(\'b\', function () {});',
+                'this.defineStep(`c`, function () {});',
+                'Then(`${d}`, function () {});',
+                'something.Given(\'e\', function () {});',
+                'Given(name, function () {});'
+            ].join('\n'));
+
+            let steps = getSteps(ast);
+
+            expect(steps.map(getStepKeyword)).to.deep.equal(['Given', 'When', 'defineStep']);
+            expect(steps.map(getStepPattern)).to.deep.equal(['^a$', 'b', 'c']);
+        });
+    });
+});
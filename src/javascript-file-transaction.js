@@ -0,0 +1,68 @@
+// Constants:
+const REQUEST_ERROR = 400;
+
+// Dependencies:
+import { countChanges, generateSource } from './javascript-file-source';
+
+// Errors:
+import { TractorError } from 'tractor-error-handler';
+
+export function refactorFiles (operations, options = {}) {
+    let transaction = new Map();
+    let refactorOptions = { ...options, transaction };
+
+    // Every change is applied and every file is regenerated before anything
+    // is written, so a failure here leaves everything untouched:
+    return operations.reduce((previous, operation) => {
+        let { file, type, data } = operation;
+        return previous.then(() => file.refactor(type, data, refactorOptions));
+    }, Promise.resolve())
+    .then(() => {
+        // Without `preserveFormatting` the whole file is regenerated, so a
+        // file is only written when its copy has actually changed:
+        let changes = [];
+        transaction.forEach((copy, file) => {
+            let { comments, nodes } = countChanges(copy.ast);
+            if (!comments && !nodes) {
+                return;
+            }
+            let original = file.content;
+            let source = generateSource(copy.ast, copy);
+            if (source !== original) {
+                changes.push({ file, original, source });
+            }
+        });
+        return commit(changes);
+    });
+}
+
+function commit (changes) {
+    let written = [];
+    return changes.reduce((previous, change) => {
+        return previous.then(() => {
+            written.push(change);
+            return change.file.save(change.source);
+        });
+    }, Promise.resolve())
+    .then(() => changes.map(change => change.file))
+    .catch(() => {
+        let [failed] = written.slice(-1);
+        return rollback(written)
+        .then(unrestored => {
+            let error = new TractorError(`Could not save "${failed.file.path}", so the refactor was rolled back.`, REQUEST_ERROR);
+            if (unrestored.length) {
+                error.unrestored = unrestored;
+            }
+            throw error;
+        });
+    });
+}
+
+function rollback (written) {
+    let unrestored = [];
+    return written.reverse().reduce((previous, change) => {
+        let { file, original } = change;
+        return previous.then(() => file.save(original).catch(() => unrestored.push(file.path)));
+    }, Promise.resolve())
+    .then(() => unrestored);
+}
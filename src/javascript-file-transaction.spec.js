@@ -0,0 +1,209 @@
+/* global describe:true, it:true */
+
+// Test setup:
+import { expect, sinon } from '../test-setup';
+
+// Dependencies:
+import path from 'path';
+import { TractorError } from 'tractor-error-handler';
+import { File, FileStructure } from 'tractor-file-structure';
+import { JavaScriptFile } from './javascript-file';
+
+// Under test:
+import { refactorFiles } from './javascript-file-transaction';
+
+describe('tractor-file-javascript: refactorFiles:', () => {
+    it('should apply every refactor and then save each changed file once', () => {
+        let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+        let file = createFile(fileStructure, 'file.js', 'var a = 1;\nvar b = a;');
+        let other = createFile(fileStructure, 'other.js', 'var c = 1;');
+
+        stubSave();
+
+        return refactorFiles([
+            { file, type: 'scopedIdentifierChange', data: { oldName: 'a', newName: 'x' } },
+            { file, type: 'scopedIdentifierChange', data: { oldName: 'b', newName: 'y' } },
+            { file: other, type: 'scopedIdentifierChange', data: { oldName: 'c', newName: 'z' } }
+        ])
+        .then(files => {
+            expect(files).to.deep.equal([file, other]);
+            expect(File.prototype.save.callCount).to.equal(2);
+            expect(file.content).to.equal('var x = 1;\nvar y = x;');
+            expect(other.content).to.equal('var z = 1;');
+        })
+        .finally(() => {
+            File.prototype.save.restore();
+        });
+    });
+
+    it('should include the refactors of files that reference a refactored file', () => {
+        let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+        let file = createFile(fileStructure, 'file.js', 'module.exports.oldName = 1;');
+        let reference = createFile(fileStructure, 'reference.js', `var file = require('./file.js');\nfile.oldName;`);
+        reference.addReference(file);
+
+        stubSave();
+
+        return refactorFiles([
+            { file, type: 'exportedMemberChange', data: { oldName: 'oldName', newName: 'newName' } }
+        ])
+        .then(() => {
+            expect(File.prototype.save.callCount).to.equal(2);
+            expect(file.content).to.equal('module.exports.newName = 1;');
+            expect(reference.content).to.equal(`var file = require('./file.js');\nfile.newName;`);
+        })
+        .finally(() => {
+            File.prototype.save.restore();
+        });
+    });
+
+    it(`should not save files that haven't changed`, () => {
+        let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+        let file = createFile(fileStructure, 'file.js', 'var a = 1;');
+
+        stubSave();
+
+        return refactorFiles([
+            { file, type: 'scopedIdentifierChange', data: { oldName: 'b', newName: 'c' } }
+        ])
+        .then(files => {
+            expect(files).to.deep.equal([]);
+            expect(File.prototype.save).to.not.have.been.called();
+        })
+        .finally(() => {
+            File.prototype.save.restore();
+        });
+    });
+
+    it(`should not regenerate files that haven't changed without \`preserveFormatting\``, () => {
+        let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+        let file = new JavaScriptFile(path.join(path.sep, 'file-structure', 'directory', 'file.js'), fileStructure);
+        file.content = 'var a = function(){};';
+
+        stubSave();
+
+        return refactorFiles([
+            { file, type: 'identifierChange', data: { oldName: 'b', newName: 'c' } }
+        ])
+        .then(files => {
+            expect(files).to.deep.equal([]);
+            expect(File.prototype.save).to.not.have.been.called();
+            expect(file.content).to.equal('var a = function(){};');
+        })
+        .finally(() => {
+            File.prototype.save.restore();
+        });
+    });
+
+    it('should not save anything if a refactor fails', () => {
+        let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+        let file = createFile(fileStructure, 'file.js', 'var a = 1;');
+        let other = createFile(fileStructure, 'other.js', 'var b = 1;\nvar c = 1;');
+
+        stubSave();
+
+        return refactorFiles([
+            { file, type: 'scopedIdentifierChange', data: { oldName: 'a', newName: 'x' } },
+            { file: other, type: 'scopedIdentifierChange', data: { oldName: 'b', newName: 'c' } }
+        ])
+        .then(() => {
+            throw new Error('Should not get here');
+        })
+        .catch(error => {
+            expect(error).to.be.an.instanceof(TractorError);
+            expect(File.prototype.save).to.not.have.been.called();
+            expect(file.content).to.equal('var a = 1;');
+        })
+        .finally(() => {
+            File.prototype.save.restore();
+        });
+    });
+
+    it(`should not refactor files that haven't been read`, () => {
+        let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+        let file = createFile(fileStructure, 'file.js', 'var a = 1;');
+        let unread = createFile(fileStructure, 'unread.js');
+
+        stubSave();
+
+        return refactorFiles([
+            { file, type: 'scopedIdentifierChange', data: { oldName: 'a', newName: 'x' } },
+            { file: unread, type: 'scopedIdentifierChange', data: { oldName: 'b', newName: 'c' } }
+        ])
+        .then(() => {
+            throw new Error('Should not get here');
+        })
+        .catch(error => {
+            expect(error).to.be.an.instanceof(TractorError);
+            expect(error.message).to.equal(`Cannot refactor "${unread.path}" before it has been read.`);
+            expect(File.prototype.save).to.not.have.been.called();
+        })
+        .finally(() => {
+            File.prototype.save.restore();
+        });
+    });
+
+    it('should restore the original contents if a file fails to save', () => {
+        let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+        let file = createFile(fileStructure, 'file.js', 'var a = 1;');
+        let other = createFile(fileStructure, 'other.js', 'var b = 1;');
+
+        stubSave();
+        File.prototype.save.onCall(1).rejects(new Error());
+
+        return refactorFiles([
+            { file, type: 'scopedIdentifierChange', data: { oldName: 'a', newName: 'x' } },
+            { file: other, type: 'scopedIdentifierChange', data: { oldName: 'b', newName: 'y' } }
+        ])
+        .then(() => {
+            throw new Error('Should not get here');
+        })
+        .catch(error => {
+            expect(error).to.be.an.instanceof(TractorError);
+            expect(error.message).to.equal(`Could not save "${other.path}", so the refactor was rolled back.`);
+            expect(error.unrestored).to.equal(undefined);
+            expect(file.content).to.equal('var a = 1;');
+            expect(other.content).to.equal('var b = 1;');
+        })
+        .finally(() => {
+            File.prototype.save.restore();
+        });
+    });
+
+    it(`should list the files that couldn't be restored`, () => {
+        let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+        let file = createFile(fileStructure, 'file.js', 'var a = 1;');
+        let other = createFile(fileStructure, 'other.js', 'var b = 1;');
+
+        stubSave();
+        File.prototype.save.onCall(1).rejects(new Error());
+        File.prototype.save.onCall(3).rejects(new Error());
+
+        return refactorFiles([
+            { file, type: 'scopedIdentifierChange', data: { oldName: 'a', newName: 'x' } },
+            { file: other, type: 'scopedIdentifierChange', data: { oldName: 'b', newName: 'y' } }
+        ])
+        .then(() => {
+            throw new Error('Should not get here');
+        })
+        .catch(error => {
+            expect(error.unrestored).to.deep.equal([file.path]);
+        })
+        .finally(() => {
+            File.prototype.save.restore();
+        });
+    });
+});
+
+function createFile (fileStructure, name, content) {
+    let file = new JavaScriptFile(path.join(path.sep, 'file-structure', 'directory', name), fileStructure, { preserveFormatting: true });
+    file.content = content;
+    return file;
+}
+
+function stubSave () {
+    sinon.stub(File.prototype, 'save').callsFake(function (content) {
+        this.content = content;
+        return Promise.resolve(content);
+    });
+}
@@ -1,27 +1,78 @@
 // Constants:
-const LEADING_SLASH_REGEX = /^\//;
-const LITERAL = 'Literal';
-const REGEXP_CONTENT_REGEX = /^\/.*\/[gimuy]*?$/;
-const REGEXP_FLAGS_REGEX = /([gimuy]*)$/;
+const AST_CHANGED = 'ast-changed';
+const ERROR = 'error';
+const HASH_ALGORITHM = 'sha1';
+const INLINE_SOURCE_MAP = 'inline';
+const LOCATION_KEYS = ['loc', 'range'];
+const MODULE = 'module';
+const MODULE_EXTENSION = '.mjs';
+const NEW_LINE = '\n';
+const REFERENCES_CHANGED = 'references-changed';
 const REQUEST_ERROR = 400;
-const REQUIRE_QUERY = 'CallExpression[callee.name="require"] Literal';
-const TRAILING_SLASH_REGEX = /(\/)[gimuy]*?$/;
+const SOURCE_MAP_EXTENSION = '.map';
+const WARNING = 'warning';
 
 // Utilities:
-import { isObject, isString } from 'util';
+import { isString } from 'util';
 
 // Dependencies:
-import escodegen from 'escodegen';
-import * as esprima from 'esprima';
-import esquery from 'esquery';
-import path from 'path';
+import { createHash } from 'crypto';
+import { createPatch } from 'diff';
+import { EventEmitter } from 'events';
 import { File } from 'tractor-file-structure';
-import { JavaScriptFileRefactorer } from './javascript-file-refactorer';
+import { getRefactor, isCrossFileRefactor } from './javascript-file-refactorer';
+import { lint } from './javascript-file-linter';
+import { getMeta, META_MIGRATIONS, META_SCHEMA, setMeta } from './javascript-file-metadata';
+import { getOutline } from './javascript-file-outline';
+import { getParseError } from './javascript-file-parse-error';
+import { parse } from './javascript-file-parser';
+import { query, queryMatches } from './javascript-file-query';
+import { getModuleReferences, getUnusedModules } from './javascript-file-references';
+import { isLocalSpecifier, resolveReference } from './javascript-file-resolver';
+import { countChanges, generateSource, trackSource } from './javascript-file-source';
+import { createSourceMap, getSourceMappingURL, isSourceMappingURL } from './javascript-file-source-map';
+import { refactorFiles } from './javascript-file-transaction';
 
 // Errors:
 import { TractorError } from 'tractor-error-handler';
 
+let emitters = new WeakMap();
+
 export class JavaScriptFile extends File {
+    constructor (filePath, fileStructure, options = {}) {
+        super(filePath, fileStructure);
+
+        this.options = { ...fileStructure.javascriptFileOptions, ...options };
+    }
+
+    getMeta () {
+        return getMeta(this);
+    }
+
+    getOutline () {
+        return getOutline(this.ast);
+    }
+
+    off (event, listener) {
+        getEmitter(this).removeListener(event, listener);
+        return this;
+    }
+
+    // Listeners for "ast-changed" and "references-changed" are called with
+    // the file whenever it gets a new AST or new references:
+    on (event, listener) {
+        getEmitter(this).on(event, listener);
+        return this;
+    }
+
+    query (selector) {
+        return query(this.ast, selector);
+    }
+
+    queryMatches (selector) {
+        return queryMatches(this.ast, this.content, selector);
+    }
+
     read () {
         // Hack to fix coverage bug: https://github.com/gotwarlost/istanbul/issues/690
         /* istanbul ignore next */
@@ -31,30 +82,63 @@ export class JavaScriptFile extends File {
         .then(content => setAST.call(this, content))
         .then(() => getReferences.call(this))
         .then(() => this.content)
-        .catch(() => {
-            throw new TractorError(`Parsing "${this.path}" failed.`, REQUEST_ERROR);
+        .catch(error => {
+            throw createError.call(this, error, `Parsing "${this.path}" failed.`);
         });
     }
 
-    refactor (type, data) {
+    refactor (type, data, options = {}) {
+        let change = getRefactor(type);
+        if (!change) {
+            return Promise.reject(new TractorError(`Unknown refactor "${type}".`, REQUEST_ERROR));
+        }
+
         // Hack to fix coverage bug: https://github.com/gotwarlost/istanbul/issues/690
         /* istanbul ignore next */
         let refactor = super.refactor(type, data);
 
+        if (options.dryRun) {
+            return refactor.then(() => preview.call(this, change, data, options));
+        }
+        if (options.transaction) {
+            return refactor.then(() => stage.call(this, change, data, options));
+        }
+        // Every file is saved or none are, so that the references to the file
+        // are never left half renamed:
+        if (isCrossFileRefactor(type)) {
+            return refactor.then(() => refactorFiles([{ file: this, type, data }], options))
+            .then(() => this.content);
+        }
+
+        // The AST is changed in place, so it has to be parsed again when the
+        // file is next read in case the changes are never saved:
         return refactor.then(() => {
-            let change = JavaScriptFileRefactorer[type];
-            return change ? change(this, data) : null;
+            this.contentHash = null;
+            return change(this, data, options);
         })
         .then(() => this.save(this.ast));
     }
 
     save (javascript) {
+        if (this.partial && javascript === this.ast) {
+            return Promise.reject(new TractorError(`Cannot save "${this.path}" while it has syntax errors.`, REQUEST_ERROR));
+        }
+
+        let sourceMap = null;
         if (!isString(javascript) && !Buffer.isBuffer(javascript)) {
-            let ast = javascript;
-            ast.leadingComments = ast.comments;
-            javascript = escodegen.generate(rebuildRegExps(ast), {
-                comment: true
-            });
+            // The AST might have been changed in place, so it isn't kept if
+            // the save fails:
+            if (javascript === this.ast) {
+                this.contentHash = null;
+            }
+            ({ code: javascript, sourceMap } = generate.call(this, javascript));
+        }
+
+        let lintErrors = getLintErrors.call(this, javascript);
+        if (lintErrors.length) {
+            let tractorError = new TractorError(`Cannot save "${this.path}" while it has lint errors.`, REQUEST_ERROR);
+            tractorError.diagnostics = lintErrors;
+            return Promise.reject(tractorError);
         }
 
         // Hack to fix coverage bug: https://github.com/gotwarlost/istanbul/issues/690
@@ -64,18 +148,32 @@ export class JavaScriptFile extends File {
         return save
         .then(content => setAST.call(this, content))
         .then(() => getReferences.call(this))
+        .then(() => sourceMap && saveSourceMap.call(this, sourceMap))
         .then(() => this.content)
-        .catch(() => {
-            throw new TractorError(`Saving "${this.path}" failed.`, REQUEST_ERROR);
+        .catch(error => {
+            throw createError.call(this, error, `Saving "${this.path}" failed.`);
         });
     }
 
-    serialise () {
+    setMeta (meta) {
+        setMeta(this, meta);
+    }
+
+    // The full AST is big, so clients that only need the outline of the file
+    // can leave it out with `ast: false`. Its locations are only kept with
+    // `locations: true`, and the outline can be left out with `outline: false`:
+    serialise (options = {}) {
         // Hack to fix coverage bug: https://github.com/gotwarlost/istanbul/issues/690
         /* istanbul ignore next */
         let serialised = super.serialise();
 
-        serialised.ast = this.ast;
+        let { ast = true, locations = false, outline = true } = { ...this.options.serialise, ...options };
+        if (ast) {
+            serialised.ast = locations ? this.ast : stripLocations(this.ast);
+        }
+        if (!outline) {
+            delete serialised.outline;
+        }
         return serialised;
     }
 
@@ -84,61 +182,254 @@ export class JavaScriptFile extends File {
         /* istanbul ignore next */
         let json = super.toJSON();
 
-        let meta;
+        let diagnostics = this.diagnostics;
+        let fileDiagnostics = [...(this.referenceDiagnostics || []), ...(this.lintDiagnostics || [])];
+        if (fileDiagnostics.length) {
+            diagnostics = [...(diagnostics || []), ...fileDiagnostics];
+        }
+        let meta = null;
         try {
-            let [metaComment] = this.ast.comments;
-            meta = JSON.parse(metaComment.value);
-        } catch (e) {
-            meta = null;
+            meta = this.getMeta();
+        } catch (error) {
+            diagnostics = [...(diagnostics || []), { description: error.message, severity: ERROR }];
         }
         json.meta = meta;
+        json.outline = this.getOutline();
+        if (diagnostics) {
+            json.diagnostics = diagnostics;
+        }
+        if (this.parseError) {
+            json.parseError = this.parseError;
+        }
+        if (this.unresolvedReferences && this.unresolvedReferences.length) {
+            json.unresolvedReferences = this.unresolvedReferences;
+        }
         return json;
     }
 }
 
-function rebuildRegExps (object) {
-    Object.keys(object)
-    .forEach(key => {
-        let value = object[key];
-        if (value && isRegexLiteral(value)) {
-            let regexContent = value.raw
-            .replace(LEADING_SLASH_REGEX, '')
-            .replace(TRAILING_SLASH_REGEX, '');
-            let [regexFlags] = REGEXP_FLAGS_REGEX.exec(value.raw);
-            value.value = new RegExp(regexContent, regexFlags);
-        } else if (Array.isArray(value) || isObject(value)) {
-            rebuildRegExps(value);
+JavaScriptFile.prototype.metaMigrations = META_MIGRATIONS;
+JavaScriptFile.prototype.metaSchema = META_SCHEMA;
+
+function preview (change, data, options) {
+    let copy = createCopy.call(this);
+    let { ast, content } = copy;
+
+    return Promise.resolve(change(copy, data, options))
+    .then(references => {
+        let source = generateSource(ast, copy);
+        let preview = {
+            changes: countChanges(ast),
+            diff: createPatch(this.url, content, source),
+            path: this.path,
+            source
+        };
+        if (Array.isArray(references)) {
+            preview.references = references.filter(Boolean);
         }
+        return preview;
     });
-    return object;
+}
+
+// Refactors are applied to a copy of the file so that the real AST is left
+// untouched until the changes are saved. The copy is parsed from the content,
+// so a file that hasn't been read would otherwise be emptied:
+function createCopy () {
+    let { content } = this;
+    if (!isString(content)) {
+        throw new TractorError(`Cannot refactor "${this.path}" before it has been read.`, REQUEST_ERROR);
+    }
+    let { ast } = parse(content, { ...getParserOptions.call(this), loc: true, range: true });
+    trackSource(ast, content);
+
+    let copy = Object.create(this);
+    copy.ast = ast;
+    return copy;
+}
+
+function createDiagnostic (node, description, severity) {
+    let diagnostic = { description, severity };
+    if (node.loc) {
+        let { line, column } = node.loc.start;
+        diagnostic.line = line;
+        diagnostic.column = column + 1;
+    }
+    return diagnostic;
+}
+
+function createError (error, message) {
+    let parseError = getParseError(error, this.content);
+    if (parseError) {
+        this.parseError = parseError;
+    }
+
+    let tractorError = new TractorError(message, REQUEST_ERROR);
+    tractorError.parseError = parseError;
+    return tractorError;
+}
+
+function emit (event) {
+    let emitter = emitters.get(this);
+    if (emitter) {
+        emitter.emit(event, this);
+    }
+}
+
+function generate (ast) {
+    let { sourceMap: sourceMapType } = this.options;
+    if (!sourceMapType) {
+        return { code: generateSource(ast, this), sourceMap: null };
+    }
+
+    // Drop the URL of the previous source map, since a new one is added:
+    ast.comments = (ast.comments || []).filter(comment => !isSourceMappingURL(comment));
+    let code = generateSource(ast, this);
+    let sourceMap = createSourceMap(ast, code, { ...getParserOptions.call(this), content: this.content, name: this.name });
+    if (!sourceMap) {
+        return { code, sourceMap };
+    }
+
+    let sourceMappingURL = getSourceMappingURL(sourceMap, `${this.name}${SOURCE_MAP_EXTENSION}`, sourceMapType);
+    let separator = code.endsWith(NEW_LINE) ? '' : NEW_LINE;
+    return { code: `${code}${separator}//# sourceMappingURL=${sourceMappingURL}${NEW_LINE}`, sourceMap };
+}
+
+function getContentHash (content) {
+    return createHash(HASH_ALGORITHM).update(content || '').digest('hex');
+}
+
+function getEmitter (file) {
+    if (!emitters.has(file)) {
+        emitters.set(file, new EventEmitter());
+    }
+    return emitters.get(file);
+}
+
+// With the `blockSave` lint option, the JavaScript is linted before it is
+// saved, so that it isn't saved at all if it has any lint errors:
+function getLintErrors (javascript) {
+    let { lint: lintOptions } = this.options;
+    if (!lintOptions || !lintOptions.blockSave) {
+        return [];
+    }
+
+    let ast;
+    try {
+        ({ ast } = parse(String(javascript), { ...getParserOptions.call(this), loc: true }));
+    } catch (e) {
+        // Syntax errors are reported when the file is parsed after saving:
+        return [];
+    }
+    return lint(ast, lintOptions).filter(diagnostic => diagnostic.severity === ERROR);
+}
+
+function getParserOptions () {
+    let { backend, ecmaVersion, plugins } = this.options;
+    return { backend, ecmaVersion, plugins, sourceType: getSourceType.call(this) };
 }
 
 function getReferences () {
+    let { references, unresolved } = getModuleReferences(this.ast, this.path, this.content);
+    let resolved = references.map(reference => resolveReference(this, reference.value));
+    this.unresolvedReferences = unresolved;
+
+    // Broken references would only otherwise show up when the tests run:
+    let broken = references
+    .filter((reference, index) => !resolved[index] && isLocalSpecifier(this, reference.value))
+    .map(reference => createDiagnostic(reference.node, `Cannot find module "${reference.value}".`, ERROR));
+    let unused = getUnusedModules(this.ast).map(module => ({ ...module, severity: WARNING }));
+    this.referenceDiagnostics = [...broken, ...unused];
+
+    // Other files can be added or removed at any time, so the references are
+    // resolved every time, but they only need to be rebuilt when the modules
+    // that the file requires or imports, or the files they resolve to, change:
+    let targets = [...new Set(references.map((reference, index) => [reference.value, resolved[index] ? resolved[index].path : ''].join(NEW_LINE)))].sort();
+    if (this.initialised && this.referenceTargets && targets.join(NEW_LINE) === this.referenceTargets.join(NEW_LINE)) {
+        return;
+    }
+
     if (this.initialised) {
         this.fileStructure.referenceManager.clearReferences(this.path);
     }
 
-    esquery(this.ast, REQUIRE_QUERY).forEach(requirePath => {
-        let directoryPath = path.dirname(this.path);
-        let referencePath = path.resolve(directoryPath, requirePath.value);
-        let reference = this.fileStructure.referenceManager.getReference(referencePath);
-        if (reference) {
-            this.addReference(reference);
-        }
-    });
+    resolved
+    .filter(reference => reference)
+    .forEach(reference => this.addReference(reference));
+    this.referenceTargets = targets;
 
     this.initialised = true;
+    emit.call(this, REFERENCES_CHANGED);
+}
+
+function getSourceType () {
+    let { sourceType } = this.options;
+    if (sourceType) {
+        return sourceType;
+    }
+    return this.extension === MODULE_EXTENSION ? MODULE : null;
 }
 
-function isRegexLiteral (object) {
-    let { raw, type } = object;
-    return type === LITERAL && raw && REGEXP_CONTENT_REGEX.test(raw);
+function saveSourceMap (sourceMap) {
+    if (this.options.sourceMap === INLINE_SOURCE_MAP) {
+        return null;
+    }
+
+    let mapPath = `${this.path}${SOURCE_MAP_EXTENSION}`;
+    let mapFile = this.fileStructure.allFilesByPath[mapPath] || new File(mapPath, this.fileStructure);
+    return mapFile.save(JSON.stringify(sourceMap));
 }
 
+// Nothing needs to be parsed again when the content is exactly the same as
+// last time, but `File` has already replaced `data` with the content:
 function setAST (content) {
-    this.ast = esprima.parseScript(content, {
-        comment: true
-    });
+    let contentHash = getContentHash(content);
+    if (this.ast && this.contentHash === contentHash) {
+        this.data = this.ast;
+        this.parseError = null;
+        return content;
+    }
+
+    // The locations are needed for the outline, diagnostics and query matches,
+    // and are only left out when the file is serialised:
+    let { preserveFormatting, tolerant } = this.options;
+    let { ast, errors, partial } = parse(content, { ...getParserOptions.call(this), loc: true, range: true, tolerant });
+
+    this.ast = ast;
     this.data = this.ast;
+    this.diagnostics = errors.map(error => ({ ...getParseError(error, content), severity: ERROR }));
+    this.lintDiagnostics = lint(this.ast, this.options.lint);
+    this.parseError = null;
+    this.partial = partial;
+    if (preserveFormatting) {
+        trackSource(this.ast, content);
+    }
+    this.contentHash = contentHash;
+
+    emit.call(this, AST_CHANGED);
     return content;
 }
+
+function stage (change, data, options) {
+    let { transaction } = options;
+    if (!transaction.has(this)) {
+        transaction.set(this, createCopy.call(this));
+    }
+
+    return Promise.resolve(change(transaction.get(this), data, options));
+}
+
+// The `RegExp` value of a regex literal is kept as it is:
+function stripLocations (node) {
+    if (Array.isArray(node)) {
+        return node.map(stripLocations);
+    }
+    if (!node || typeof node !== 'object' || node instanceof RegExp) {
+        return node;
+    }
+    return Object.keys(node)
+    .filter(key => !LOCATION_KEYS.includes(key))
+    .reduce((copy, key) => {
+        copy[key] = stripLocations(node[key]);
+        return copy;
+    }, {});
+}
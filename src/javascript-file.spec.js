@@ -9,10 +9,11 @@ import { expect, sinon } from '../test-setup';
 // Dependencies:
 import escodegen from 'escodegen';
 import * as esprima from 'esprima';
+import esquery from 'esquery';
 import path from 'path';
 import { TractorError } from 'tractor-error-handler';
 import { File, FileStructure, ReferenceManager } from 'tractor-file-structure';
-import { JavaScriptFileRefactorer } from './javascript-file-refactorer';
+import { JavaScriptFileRefactorer, registerRefactor, unregisterRefactor } from './javascript-file-refactorer';
 
 // Under test:
 import { JavaScriptFile } from './javascript-file';
@@ -38,6 +39,94 @@ describe('tractor-file-javascript: JavaScriptFile:', () => {
         });
     });
 
+    describe('JavaScriptFile.getMeta:', () => {
+        it(`should get the file's metadata`, () => {
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let filePath = path.join(path.sep, 'file-structure', 'directory', 'file.js');
+
+            let file = new JavaScriptFile(filePath, fileStructure);
+            file.ast = esprima.parseScript('// { "name": "file" }', { comment: true });
+
+            expect(file.getMeta()).to.deep.equal({ name: 'file' });
+        });
+    });
+
+    describe('JavaScriptFile.off:', () => {
+        it('should stop calling a listener', () => {
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let file = new JavaScriptFile(path.join(path.sep, 'file-structure', 'directory', 'file.js'), fileStructure);
+            let astChanged = sinon.spy();
+
+            sinon.stub(File.prototype, 'read').resolves('var a = 1;');
+
+            file.on('ast-changed', astChanged).off('ast-changed', astChanged);
+
+            return file.read()
+            .then(() => {
+                expect(astChanged).to.not.have.been.called();
+            })
+            .finally(() => {
+                File.prototype.read.restore();
+            });
+        });
+    });
+
+    describe('JavaScriptFile.getOutline:', () => {
+        it('should get the outline of the file from its AST', () => {
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let file = new JavaScriptFile(path.join(path.sep, 'file-structure', 'directory', 'file.js'), fileStructure);
+            file.ast = esprima.parseScript('this.When(\'I click\', function () {});');
+
+            expect(file.getOutline()).to.deep.equal([{ children: [], exported: false, keyword: 'When', kind: 'step', loc: null, name: 'I click' }]);
+        });
+    });
+
+    describe('JavaScriptFile.query:', () => {
+        it('should find the nodes in the AST that match the selector', () => {
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let filePath = path.join(path.sep, 'file-structure', 'directory', 'file.js');
+
+            sinon.stub(File.prototype, 'read').resolves('var a = 1;\nvar b = 2;');
+
+            let file = new JavaScriptFile(filePath, fileStructure);
+
+            return file.read()
+            .then(() => {
+                let [first] = file.query('Identifier');
+                let [, second] = file.query('Identifier');
+                expect(first.name).to.equal('a');
+                expect(second.name).to.equal('b');
+            })
+            .finally(() => {
+                File.prototype.read.restore();
+            });
+        });
+    });
+
+    describe('JavaScriptFile.queryMatches:', () => {
+        it('should include the source of each match from the file', () => {
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let filePath = path.join(path.sep, 'file-structure', 'directory', 'file.js');
+
+            sinon.stub(File.prototype, 'read').callsFake(function () {
+                this.content = 'var a = [1,2];';
+                return Promise.resolve(this.content);
+            });
+
+            let file = new JavaScriptFile(filePath, fileStructure);
+
+            return file.read()
+            .then(() => {
+                let [match] = file.queryMatches('ArrayExpression');
+                expect(match.source).to.equal('[1,2]');
+                expect(match.loc.start).to.deep.equal({ line: 1, column: 8 });
+            })
+            .finally(() => {
+                File.prototype.read.restore();
+            });
+        });
+    });
+
     describe('JavaScriptFile.read:', () => {
         it('should read the file from disk', () => {
             let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
@@ -71,6 +160,11 @@ describe('tractor-file-javascript: JavaScriptFile:', () => {
                 expect(file.ast).to.deep.equal({
                     body: [],
                     comments: [],
+                    loc: {
+                        start: { line: 0, column: 0 },
+                        end: { line: 0, column: 0 }
+                    },
+                    range: [0, 0],
                     sourceType: 'script',
                     type: 'Program'
                 });
@@ -80,6 +174,120 @@ describe('tractor-file-javascript: JavaScriptFile:', () => {
             });
         });
 
+        it('should parse the contents as a module when it uses `import` or `export`', () => {
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let filePath = path.join(path.sep, 'file-structure', 'directory', 'file');
+
+            sinon.stub(File.prototype, 'read').resolves(`import reference from './reference';`);
+
+            let file = new JavaScriptFile(filePath, fileStructure);
+
+            return file.read()
+            .then(() => {
+                expect(file.ast.sourceType).to.equal('module');
+            })
+            .finally(() => {
+                File.prototype.read.restore();
+            });
+        });
+
+        it('should parse `.mjs` files as modules', () => {
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let filePath = path.join(path.sep, 'file-structure', 'directory', 'file.mjs');
+
+            sinon.stub(File.prototype, 'read').resolves('');
+
+            let file = new JavaScriptFile(filePath, fileStructure);
+
+            return file.read()
+            .then(() => {
+                expect(file.ast.sourceType).to.equal('module');
+            })
+            .finally(() => {
+                File.prototype.read.restore();
+            });
+        });
+
+        it('should use the `sourceType` option when it is given', () => {
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let filePath = path.join(path.sep, 'file-structure', 'directory', 'file.js');
+
+            sinon.stub(File.prototype, 'read').resolves(`var reference = require('./reference');`);
+            sinon.spy(esprima, 'parseModule');
+
+            let file = new JavaScriptFile(filePath, fileStructure, { sourceType: 'module' });
+
+            return file.read()
+            .then(() => {
+                expect(esprima.parseModule).to.have.been.called();
+                expect(file.ast.sourceType).to.equal('module');
+            })
+            .finally(() => {
+                File.prototype.read.restore();
+                esprima.parseModule.restore();
+            });
+        });
+
+        it('should use the `sourceType` option from the file structure', () => {
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let filePath = path.join(path.sep, 'file-structure', 'directory', 'file.js');
+            fileStructure.javascriptFileOptions = { sourceType: 'script' };
+
+            sinon.stub(File.prototype, 'read').resolves(`import reference from './reference';`);
+
+            let file = new JavaScriptFile(filePath, fileStructure);
+
+            return file.read()
+            .catch(tractorError => {
+                expect(tractorError).to.be.an.instanceof(TractorError);
+            })
+            .finally(() => {
+                File.prototype.read.restore();
+            });
+        });
+
+        it('should parse newer syntax with the "acorn" `backend` option', () => {
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let filePath = path.join(path.sep, 'file-structure', 'directory', 'file.js');
+
+            sinon.stub(File.prototype, 'read').resolves(`class Step {\n    count = 0;\n    async run () {\n        return (await this.load?.()) ?? <View />;\n    }\n}`);
+
+            let file = new JavaScriptFile(filePath, fileStructure, { backend: 'acorn', ecmaVersion: 2022, plugins: ['jsx'] });
+
+            return file.read()
+            .then(() => {
+                expect(file.query('PropertyDefinition').length).to.equal(1);
+                expect(file.query('ChainExpression').length).to.equal(1);
+                expect(file.query('JSXElement').length).to.equal(1);
+            })
+            .finally(() => {
+                File.prototype.read.restore();
+            });
+        });
+
+        it('should include the location of a syntax error from the "acorn" `backend`', () => {
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let filePath = path.join(path.sep, 'file-structure', 'directory', 'file.js');
+
+            let file = new JavaScriptFile(filePath, fileStructure, { backend: 'acorn' });
+
+            sinon.stub(File.prototype, 'read').callsFake(() => {
+                file.content = 'var a = ;';
+                return Promise.resolve(file.content);
+            });
+
+            return file.read()
+            .catch(tractorError => {
+                expect(tractorError).to.be.an.instanceof(TractorError);
+                expect(tractorError.parseError.line).to.equal(1);
+                expect(tractorError.parseError.column).to.equal(9);
+                expect(tractorError.parseError.description).to.equal('Unexpected token');
+            })
+            .finally(() => {
+                File.prototype.read.restore();
+            });
+        });
+
         it('should update the references between files', () => {
             let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
             let file = new JavaScriptFile(path.join(path.sep, 'file-structure', 'directory', 'file'), fileStructure);
@@ -97,6 +305,109 @@ describe('tractor-file-javascript: JavaScriptFile:', () => {
             });
         });
 
+        it('should resolve references to files without their extension', () => {
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let file = new JavaScriptFile(path.join(path.sep, 'file-structure', 'directory', 'file.js'), fileStructure);
+            let otherFile = new JavaScriptFile(path.join(path.sep, 'file-structure', 'directory', 'other-file.js'), fileStructure);
+            let indexFile = new JavaScriptFile(path.join(path.sep, 'file-structure', 'directory', 'nested', 'index.js'), fileStructure);
+
+            sinon.stub(File.prototype, 'read').resolves(`require('./other-file');\nrequire('./nested');`);
+
+            return file.read()
+            .then(() => {
+                expect(file.references).to.deep.equal([otherFile, indexFile]);
+            })
+            .finally(() => {
+                File.prototype.read.restore();
+            });
+        });
+
+        it('should track references with statically resolvable paths', () => {
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let file = new JavaScriptFile(path.join(path.sep, 'file-structure', 'directory', 'file.js'), fileStructure);
+            let otherFile = new JavaScriptFile(path.join(path.sep, 'file-structure', 'directory', 'other-file.js'), fileStructure);
+
+            sinon.stub(File.prototype, 'read').resolves(`
+                var path = require('path');
+                require(path.join(__dirname, 'other-file'));
+                require(getPath());
+            `);
+
+            return file.read()
+            .then(() => {
+                expect(file.references).to.deep.equal([otherFile]);
+                expect(file.unresolvedReferences).to.deep.equal([{
+                    column: 17,
+                    line: 4,
+                    source: 'require(getPath())'
+                }]);
+                expect(file.toJSON().unresolvedReferences).to.deep.equal(file.unresolvedReferences);
+            })
+            .finally(() => {
+                File.prototype.read.restore();
+            });
+        });
+
+        it('should update the references between files for `import` and `export` declarations', () => {
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let file = new JavaScriptFile(path.join(path.sep, 'file-structure', 'directory', 'file'), fileStructure);
+            let importedFile = new JavaScriptFile(path.join(path.sep, 'file-structure', 'directory', 'imported-file'), fileStructure);
+            let exportedFile = new JavaScriptFile(path.join(path.sep, 'file-structure', 'directory', 'exported-file'), fileStructure);
+
+            sinon.stub(File.prototype, 'read').resolves(`
+                import someReference from './imported-file';
+                export * from './exported-file';
+            `);
+
+            return file.read()
+            .then(() => {
+                expect(file.references).to.deep.equal([importedFile, exportedFile]);
+                expect(importedFile.referencedBy).to.deep.equal([file]);
+                expect(exportedFile.referencedBy).to.deep.equal([file]);
+            })
+            .finally(() => {
+                File.prototype.read.restore();
+            });
+        });
+
+        it('should update the references between files for dynamic `import` expressions with the "acorn" `backend`', () => {
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let file = new JavaScriptFile(path.join(path.sep, 'file-structure', 'directory', 'file.js'), fileStructure, { backend: 'acorn' });
+            let importedFile = new JavaScriptFile(path.join(path.sep, 'file-structure', 'directory', 'imported-file.js'), fileStructure);
+
+            sinon.stub(File.prototype, 'read').resolves(`import('./imported-file').then(module => module.default);`);
+
+            return file.read()
+            .then(() => {
+                expect(file.references).to.deep.equal([importedFile]);
+                expect(importedFile.referencedBy).to.deep.equal([file]);
+            })
+            .finally(() => {
+                File.prototype.read.restore();
+            });
+        });
+
+        it('should fail to parse dynamic `import` expressions with the default `backend`', () => {
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let file = new JavaScriptFile(path.join(path.sep, 'file-structure', 'directory', 'file.js'), fileStructure);
+
+            sinon.stub(File.prototype, 'read').callsFake(() => {
+                file.content = `import('./imported-file');`;
+                return Promise.resolve(file.content);
+            });
+
+            return file.read()
+            .then(() => expect.fail())
+            .catch(tractorError => {
+                expect(tractorError).to.be.an.instanceof(TractorError);
+                expect(tractorError.parseError.line).to.equal(1);
+                expect(file.references).to.deep.equal([]);
+            })
+            .finally(() => {
+                File.prototype.read.restore();
+            });
+        });
+
         it(`shouldn't clear the references on first load`, () => {
             let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
             let file = new JavaScriptFile(path.join(path.sep, 'file-structure', 'directory', 'file'), fileStructure);
@@ -133,208 +444,806 @@ describe('tractor-file-javascript: JavaScriptFile:', () => {
             });
         });
 
-        it('should turn log any errors and create a TractorError', () => {
+        it('should add diagnostics for references that are broken or never used', () => {
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let file = new JavaScriptFile(path.join(path.sep, 'file-structure', 'directory', 'file.js'), fileStructure);
+            new JavaScriptFile(path.join(path.sep, 'file-structure', 'directory', 'other-file.js'), fileStructure);
+
+            sinon.stub(File.prototype, 'read').resolves([
+                `var otherFile = require('./other-file');`,
+                `var missing = require('./missing');`,
+                `var protractor = require('protractor');`,
+                `missing(protractor);`
+            ].join('\n'));
+
+            return file.read()
+            .then(() => {
+                expect(file.toJSON().diagnostics).to.deep.equal([{
+                    column: 23,
+                    description: 'Cannot find module "./missing".',
+                    line: 2,
+                    severity: 'error'
+                }, {
+                    column: 5,
+                    description: '"otherFile" is required but never used.',
+                    line: 1,
+                    name: 'otherFile',
+                    severity: 'warning'
+                }]);
+            })
+            .finally(() => {
+                File.prototype.read.restore();
+            });
+        });
+
+        it('should lint the contents with the `lint` option', () => {
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let file = new JavaScriptFile(path.join(path.sep, 'file-structure', 'directory', 'file.js'), fileStructure, {
+                lint: { rules: { 'no-browser-sleep': 'error' } }
+            });
+
+            sinon.stub(File.prototype, 'read').resolves('browser.sleep(1000);');
+
+            return file.read()
+            .then(() => {
+                expect(file.toJSON().diagnostics).to.deep.equal([{
+                    column: 1,
+                    description: '`browser.sleep` makes tests slow and flaky, wait for a condition instead.',
+                    line: 1,
+                    rule: 'no-browser-sleep',
+                    severity: 'error'
+                }]);
+            })
+            .finally(() => {
+                File.prototype.read.restore();
+            });
+        });
+
+        it('should not parse the contents again when they have not changed', () => {
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let file = new JavaScriptFile(path.join(path.sep, 'file-structure', 'directory', 'file.js'), fileStructure);
+            let astChanged = sinon.spy();
+
+            sinon.spy(esprima, 'parseScript');
+            sinon.stub(File.prototype, 'read').resolves('var a = 1;');
+
+            file.on('ast-changed', astChanged);
+
+            return file.read()
+            .then(() => file.read())
+            .then(() => {
+                expect(esprima.parseScript).to.have.been.calledOnce();
+                expect(astChanged).to.have.been.calledOnce();
+                expect(astChanged).to.have.been.calledWith(file);
+            })
+            .finally(() => {
+                esprima.parseScript.restore();
+                File.prototype.read.restore();
+            });
+        });
+
+        it('should keep the AST as the data when the contents have not changed', () => {
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let file = new JavaScriptFile(path.join(path.sep, 'file-structure', 'directory', 'file.js'), fileStructure);
+
+            sinon.stub(File.prototype, 'read').callsFake(function () {
+                this.data = 'var a = 1;';
+                return Promise.resolve(this.data);
+            });
+
+            return file.read()
+            .then(() => file.read())
+            .then(() => {
+                expect(file.data).to.equal(file.ast);
+            })
+            .finally(() => {
+                File.prototype.read.restore();
+            });
+        });
+
+        it('should resolve the references again when the contents have not changed', () => {
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let file = new JavaScriptFile(path.join(path.sep, 'file-structure', 'directory', 'file.js'), fileStructure);
+            let referencesChanged = sinon.spy();
+
+            sinon.stub(File.prototype, 'read').resolves(`var otherFile = require('./other-file');\notherFile();`);
+
+            file.on('references-changed', referencesChanged);
+
+            return file.read()
+            .then(() => {
+                expect(file.references).to.deep.equal([]);
+                expect(file.toJSON().diagnostics.map(diagnostic => diagnostic.description)).to.deep.equal(['Cannot find module "./other-file".']);
+
+                let otherFile = new JavaScriptFile(path.join(path.sep, 'file-structure', 'directory', 'other-file.js'), fileStructure);
+                return file.read().then(() => otherFile);
+            })
+            .then(otherFile => {
+                expect(file.references).to.deep.equal([otherFile]);
+                expect(file.toJSON().diagnostics).to.deep.equal([]);
+                expect(referencesChanged).to.have.been.calledTwice();
+            })
+            .finally(() => {
+                File.prototype.read.restore();
+            });
+        });
+
+        it('should only update the references when the required modules have changed', () => {
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let file = new JavaScriptFile(path.join(path.sep, 'file-structure', 'directory', 'file.js'), fileStructure);
+            let referencesChanged = sinon.spy();
+
+            let read = sinon.stub(File.prototype, 'read');
+            read.onCall(0).resolves(`var someReference = require('./other-file');`);
+            read.onCall(1).resolves(`var someReference = require('./other-file');\nsomeReference();`);
+            read.onCall(2).resolves(`var someReference = require('./another-file');`);
+            sinon.stub(ReferenceManager.prototype, 'clearReferences');
+
+            file.on('references-changed', referencesChanged);
+
+            return file.read()
+            .then(() => {
+                expect(referencesChanged).to.have.been.calledOnce();
+                return file.read();
+            })
+            .then(() => {
+                expect(ReferenceManager.prototype.clearReferences).to.not.have.been.called();
+                expect(referencesChanged).to.have.been.calledOnce();
+                return file.read();
+            })
+            .then(() => {
+                expect(ReferenceManager.prototype.clearReferences).to.have.been.calledOnce();
+                expect(referencesChanged).to.have.been.calledTwice();
+            })
+            .finally(() => {
+                File.prototype.read.restore();
+                ReferenceManager.prototype.clearReferences.restore();
+            });
+        });
+
+        it('should turn log any errors and create a TractorError', () => {
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let filePath = path.join(path.sep, 'file-structure', 'directory', 'file.js');
+
+            sinon.stub(esprima, 'parseScript');
+            sinon.stub(File.prototype, 'read').rejects();
+
+            let file = new JavaScriptFile(filePath, fileStructure);
+
+            return file.read()
+            .catch((tractorError) => {
+                expect(tractorError).to.be.an.instanceof(TractorError);
+                expect(tractorError.message).to.equal(`Parsing "${path.join(path.sep, 'file-structure', 'directory', 'file.js')}" failed.`);
+                expect(tractorError.status).to.equal(REQUEST_ERROR);
+            })
+            .finally(() => {
+                esprima.parseScript.restore();
+                File.prototype.read.restore();
+            });
+        });
+        it('should include the location of any syntax error on the TractorError', () => {
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let filePath = path.join(path.sep, 'file-structure', 'directory', 'file.js');
+
+            let file = new JavaScriptFile(filePath, fileStructure);
+
+            sinon.stub(File.prototype, 'read').callsFake(() => {
+                file.content = 'var a = ;';
+                return Promise.resolve(file.content);
+            });
+
+            return file.read()
+            .catch(tractorError => {
+                expect(tractorError).to.be.an.instanceof(TractorError);
+                expect(tractorError.parseError.line).to.equal(1);
+                expect(tractorError.parseError.column).to.equal(9);
+                expect(tractorError.parseError.description).to.equal('Unexpected token ;');
+                expect(tractorError.parseError.codeFrame).to.equal('> 1 | var a = ;\n    |         ^');
+                expect(file.parseError).to.equal(tractorError.parseError);
+            })
+            .finally(() => {
+                File.prototype.read.restore();
+            });
+        });
+        it('should load a file with syntax errors when `tolerant` is set', () => {
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let file = new JavaScriptFile(path.join(path.sep, 'file-structure', 'directory', 'file'), fileStructure, { tolerant: true });
+            let otherFile = new JavaScriptFile(path.join(path.sep, 'file-structure', 'directory', 'other-file'), fileStructure);
+
+            sinon.stub(File.prototype, 'read').resolves(`var someReference = require('./other-file');\nvar a = ;\nsomeReference(a);`);
+
+            return file.read()
+            .then(() => {
+                let [diagnostic] = file.diagnostics;
+                expect(file.ast.type).to.equal('Program');
+                expect(file.references).to.deep.equal([otherFile]);
+                expect(diagnostic.line).to.equal(2);
+                expect(diagnostic.description).to.equal('Unexpected token ;');
+                expect(diagnostic.severity).to.equal('error');
+                expect(file.toJSON().diagnostics).to.equal(file.diagnostics);
+            })
+            .finally(() => {
+                File.prototype.read.restore();
+            });
+        });
+    });
+
+    describe('JavaScriptFile.refactor:', () => {
+        it('should refactor a JavaScript file', () => {
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let filePath = path.join(path.sep, 'file-structure', 'directory', 'file.js');
+
+            sinon.stub(File.prototype, 'refactor').resolves();
+            sinon.stub(JavaScriptFile.prototype, 'save').resolves();
+
+            sinon.stub(JavaScriptFileRefactorer, 'identifierChange');
+
+            let file = new JavaScriptFile(filePath, fileStructure);
+
+            return file.refactor('identifierChange')
+            .then(() => {
+                expect(File.prototype.refactor).to.have.been.calledWith('identifierChange');
+            })
+            .finally(() => {
+                File.prototype.refactor.restore();
+                JavaScriptFile.prototype.save.restore();
+                JavaScriptFileRefactorer.identifierChange.restore();
+            });
+        });
+
+        it('should call the appropriate action on the JavaScriptFileRefactorer', () => {
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let filePath = path.join(path.sep, 'file-structure', 'directory', 'file.js');
+
+            sinon.stub(File.prototype, 'refactor').resolves();
+            sinon.stub(JavaScriptFile.prototype, 'save').resolves();
+            sinon.stub(JavaScriptFileRefactorer, 'identifierChange');
+
+            let file = new JavaScriptFile(filePath, fileStructure);
+            let data = {};
+
+            return file.refactor('identifierChange', data)
+            .then(() => {
+                expect(JavaScriptFileRefactorer.identifierChange).to.have.been.calledWith(file, data);
+            })
+            .finally(() => {
+                File.prototype.refactor.restore();
+                JavaScriptFile.prototype.save.restore();
+                JavaScriptFileRefactorer.identifierChange.restore();
+            });
+        });
+
+        it(`should throw an error if the refactor doesn't exist`, () => {
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let filePath = path.join(path.sep, 'file-structure', 'directory', 'file.js');
+
+            sinon.stub(File.prototype, 'refactor').resolves();
+            sinon.stub(JavaScriptFile.prototype, 'save').resolves();
+
+            let file = new JavaScriptFile(filePath, fileStructure);
+            let data = {};
+
+            return file.refactor('someRefactorAction', data)
+            .then(() => {
+                throw new Error('Should not get here');
+            })
+            .catch(error => {
+                expect(error).to.be.an.instanceof(TractorError);
+                expect(error.message).to.equal('Unknown refactor "someRefactorAction".');
+                expect(JavaScriptFile.prototype.save).to.not.have.been.called();
+            })
+            .finally(() => {
+                File.prototype.refactor.restore();
+                JavaScriptFile.prototype.save.restore();
+            });
+        });
+
+        it('should do nothing for the refactors from moving files in the file structure', () => {
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let filePath = path.join(path.sep, 'file-structure', 'directory', 'file.js');
+
+            sinon.stub(File.prototype, 'refactor').resolves();
+            sinon.stub(JavaScriptFile.prototype, 'save').resolves();
+
+            let file = new JavaScriptFile(filePath, fileStructure);
+
+            return file.refactor('fileNameChange', { oldName: 'file', newName: 'new-file' })
+            .then(() => file.refactor('referenceNameChange', { oldName: 'file', newName: 'new-file' }))
+            .then(() => {
+                expect(JavaScriptFile.prototype.save).to.have.been.calledTwice();
+            })
+            .finally(() => {
+                File.prototype.refactor.restore();
+                JavaScriptFile.prototype.save.restore();
+            });
+        });
+
+        it('should call a registered refactor', () => {
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let filePath = path.join(path.sep, 'file-structure', 'directory', 'file.js');
+            let transform = sinon.spy();
+
+            sinon.stub(File.prototype, 'refactor').resolves();
+            sinon.stub(JavaScriptFile.prototype, 'save').resolves();
+            registerRefactor('customChange', transform);
+
+            let file = new JavaScriptFile(filePath, fileStructure);
+            file.ast = esprima.parseScript('');
+            let data = {};
+
+            return file.refactor('customChange', data)
+            .then(() => {
+                expect(transform).to.have.been.calledWith(file.ast, data, { file, options: {} });
+            })
+            .finally(() => {
+                File.prototype.refactor.restore();
+                JavaScriptFile.prototype.save.restore();
+                unregisterRefactor('customChange');
+            });
+        });
+
+        it('should save the JavaScript file after it has been refactored', () => {
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let filePath = path.join(path.sep, 'file-structure', 'directory', 'file.js');
+
+            sinon.stub(File.prototype, 'refactor').resolves();
+            sinon.stub(JavaScriptFile.prototype, 'save').resolves();
+
+            sinon.stub(JavaScriptFileRefactorer, 'identifierChange');
+
+            let file = new JavaScriptFile(filePath, fileStructure)
+
+            return file.refactor('identifierChange')
+            .then(() => {
+                expect(JavaScriptFile.prototype.save).to.have.been.called();
+            })
+            .finally(() => {
+                File.prototype.refactor.restore();
+                JavaScriptFile.prototype.save.restore();
+                JavaScriptFileRefactorer.identifierChange.restore();
+            });
+        });
+
+        it('should read the AST again after a refactored file fails to save', () => {
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let filePath = path.join(path.sep, 'file-structure', 'directory', 'file.js');
+
+            let file = new JavaScriptFile(filePath, fileStructure, { lint: { blockSave: true, rules: { 'no-unused-vars': 'error' } } });
+
+            sinon.stub(File.prototype, 'read').callsFake(() => {
+                file.content = 'var x = 1;';
+                return Promise.resolve(file.content);
+            });
+            sinon.stub(File.prototype, 'refactor').resolves();
+            sinon.stub(File.prototype, 'save').resolves();
+
+            return file.read()
+            .then(() => file.refactor('identifierChange', { oldName: 'x', newName: 'y' }))
+            .then(() => {
+                throw new Error('Should not resolve');
+            })
+            .catch(tractorError => {
+                expect(tractorError.message).to.equal(`Cannot save "${filePath}" while it has lint errors.`);
+                return file.read();
+            })
+            .then(() => {
+                expect(file.query('Identifier').map(identifier => identifier.name)).to.deep.equal(['x']);
+                expect(File.prototype.save).to.not.have.been.called();
+            })
+            .finally(() => {
+                File.prototype.read.restore();
+                File.prototype.refactor.restore();
+                File.prototype.save.restore();
+            });
+        });
+
+        it(`shouldn't save the references to a file when the file itself fails to save`, () => {
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let filePath = path.join(path.sep, 'file-structure', 'directory', 'file.js');
+            let referencePath = path.join(path.sep, 'file-structure', 'directory', 'reference.js');
+
+            sinon.stub(File.prototype, 'refactor').resolves();
+            sinon.stub(File.prototype, 'save').rejects(new Error());
+
+            let file = new JavaScriptFile(filePath, fileStructure);
+            file.content = 'module.exports.oldName = 1;';
+            let reference = new JavaScriptFile(referencePath, fileStructure);
+            reference.content = `var file = require('./file.js');\nfile.oldName;`;
+            reference.addReference(file);
+
+            return file.refactor('exportedMemberChange', { oldName: 'oldName', newName: 'newName' })
+            .then(() => {
+                throw new Error('Should not resolve');
+            })
+            .catch(tractorError => {
+                expect(tractorError).to.be.an.instanceof(TractorError);
+                expect(tractorError.message).to.equal(`Could not save "${filePath}", so the refactor was rolled back.`);
+                expect(File.prototype.save).to.not.have.been.calledOn(reference);
+                expect(reference.content).to.equal(`var file = require('./file.js');\nfile.oldName;`);
+            })
+            .finally(() => {
+                File.prototype.refactor.restore();
+                File.prototype.save.restore();
+            });
+        });
+
+        it('should return a preview of the refactor without saving when `dryRun` is set', () => {
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let filePath = path.join(path.sep, 'file-structure', 'directory', 'file.js');
+
+            sinon.stub(File.prototype, 'refactor').resolves();
+            sinon.stub(JavaScriptFile.prototype, 'save').resolves();
+
+            let file = new JavaScriptFile(filePath, fileStructure, { preserveFormatting: true });
+            file.content = 'var oldName = 1;\n';
+            file.ast = esprima.parseScript(file.content);
+            let { ast } = file;
+
+            return file.refactor('identifierChange', { oldName: 'oldName', newName: 'newName' }, { dryRun: true })
+            .then(preview => {
+                expect(preview.path).to.equal(filePath);
+                expect(preview.source).to.equal('var newName = 1;\n');
+                expect(preview.diff).to.equal([
+                    'Index: /directory/file.js',
+                    '===================================================================',
+                    '--- /directory/file.js',
+                    '+++ /directory/file.js',
+                    '@@ -1,1 +1,1 @@',
+                    '-var oldName = 1;',
+                    '+var newName = 1;',
+                    ''
+                ].join('\n'));
+                expect(preview.changes).to.deep.equal({ comments: 0, nodes: 1 });
+                expect(file.ast).to.equal(ast);
+                expect(JavaScriptFile.prototype.save).to.not.have.been.called();
+            })
+            .finally(() => {
+                File.prototype.refactor.restore();
+                JavaScriptFile.prototype.save.restore();
+            });
+        });
+
+        it(`should reject a dry run refactor of a file that hasn't been read`, () => {
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let filePath = path.join(path.sep, 'file-structure', 'directory', 'file.js');
+
+            sinon.stub(File.prototype, 'refactor').resolves();
+
+            let file = new JavaScriptFile(filePath, fileStructure);
+
+            return file.refactor('identifierChange', { oldName: 'oldName', newName: 'newName' }, { dryRun: true })
+            .then(() => {
+                throw new Error('Should not resolve');
+            })
+            .catch(tractorError => {
+                expect(tractorError).to.be.an.instanceof(TractorError);
+                expect(tractorError.message).to.equal(`Cannot refactor "${filePath}" before it has been read.`);
+            })
+            .finally(() => {
+                File.prototype.refactor.restore();
+            });
+        });
+
+        it('should include previews of the other files that a dry run refactor changes', () => {
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let filePath = path.join(path.sep, 'file-structure', 'directory', 'file.js');
+            let referencePath = path.join(path.sep, 'file-structure', 'directory', 'reference.js');
+
+            sinon.stub(File.prototype, 'refactor').resolves();
+            sinon.stub(JavaScriptFile.prototype, 'save').resolves();
+
+            let file = new JavaScriptFile(filePath, fileStructure);
+            file.content = 'module.exports.oldName = 1;';
+            let reference = new JavaScriptFile(referencePath, fileStructure);
+            reference.content = `var file = require('./file.js');\nfile.oldName;`;
+            reference.addReference(file);
+
+            return file.refactor('exportedMemberChange', { oldName: 'oldName', newName: 'newName' }, { dryRun: true })
+            .then(preview => {
+                let [referencePreview] = preview.references;
+                expect(preview.source).to.equal('module.exports.newName = 1;');
+                expect(referencePreview.path).to.equal(referencePath);
+                expect(referencePreview.source).to.equal(`var file = require('./file.js');\nfile.newName;`);
+                expect(JavaScriptFile.prototype.save).to.not.have.been.called();
+            })
+            .finally(() => {
+                File.prototype.refactor.restore();
+                JavaScriptFile.prototype.save.restore();
+            });
+        });
+    });
+
+    describe('JavaScriptFile.save:', () => {
+        it('should save a source map file when the `sourceMap` option is set', () => {
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let filePath = path.join(path.sep, 'file-structure', 'directory', 'file.js');
+
+            sinon.stub(File.prototype, 'save').resolves('');
+
+            let file = new JavaScriptFile(filePath, fileStructure, { sourceMap: 'file' });
+            file.content = `a();\n//# sourceMappingURL=old.js.map`;
+            let ast = esprima.parseScript(file.content, { comment: true, loc: true });
+
+            return file.save(ast)
+            .then(() => {
+                let [[javascript], [sourceMap]] = File.prototype.save.args;
+                let [, mapSave] = File.prototype.save.thisValues;
+                expect(javascript).to.equal('a();\n//# sourceMappingURL=file.js.map\n');
+                expect(mapSave.path).to.equal(`${filePath}.map`);
+                expect(JSON.parse(sourceMap).sources).to.deep.equal(['file.js']);
+            })
+            .finally(() => {
+                File.prototype.save.restore();
+            });
+        });
+
+        it('should add an inline source map when the `sourceMap` option is "inline"', () => {
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let filePath = path.join(path.sep, 'file-structure', 'directory', 'file.js');
+
+            sinon.stub(File.prototype, 'save').resolves('');
+
+            let file = new JavaScriptFile(filePath, fileStructure, { sourceMap: 'inline' });
+            file.content = 'a();';
+
+            return file.save(esprima.parseScript(file.content, { loc: true }))
+            .then(() => {
+                let [javascript] = File.prototype.save.lastCall.args;
+                expect(File.prototype.save).to.have.been.calledOnce();
+                expect(javascript).to.match(/^a\(\);\n\/\/# sourceMappingURL=data:application\/json;charset=utf-8;base64,/);
+            })
+            .finally(() => {
+                File.prototype.save.restore();
+            });
+        });
+
+        it('should format the generated JavaScript with the `format` option from the file structure', () => {
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            fileStructure.javascriptFileOptions = { format: { indent: 2, quotes: 'double' } };
+            let filePath = path.join(path.sep, 'file-structure', 'directory', 'file.js');
+
+            sinon.stub(File.prototype, 'save').resolves('');
+
+            let file = new JavaScriptFile(filePath, fileStructure);
+
+            return file.save(esprima.parseScript(`function a () {\n    return 'a';\n}`))
+            .then(() => {
+                let [javascript] = File.prototype.save.lastCall.args;
+                expect(javascript).to.equal('function a() {\n  return "a";\n}\n');
+            })
+            .finally(() => {
+                File.prototype.save.restore();
+            });
+        });
+
+        it('should save a JavaScript string to disk', () => {
+            let javascript = '';
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let filePath = path.join(path.sep, 'file-structure', 'directory', 'file.js');
+
+            sinon.stub(esprima, 'parseScript');
+            sinon.stub(File.prototype, 'save').resolves();
+
+            let file = new JavaScriptFile(filePath, fileStructure);
+
+            return file.save(javascript)
+            .then(() => {
+                expect(File.prototype.save).to.have.been.called();
+            })
+            .finally(() => {
+                esprima.parseScript.restore();
+                File.prototype.save.restore();
+            });
+        });
+
+        it('should assign the `comments` to `leadingComments`', () => {
+            let ast = {
+                comments: ['comment']
+            };
             let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
             let filePath = path.join(path.sep, 'file-structure', 'directory', 'file.js');
 
+            sinon.stub(escodegen, 'generate');
             sinon.stub(esprima, 'parseScript');
-            sinon.stub(File.prototype, 'read').rejects();
+            sinon.stub(File.prototype, 'save').resolves();
 
             let file = new JavaScriptFile(filePath, fileStructure);
 
-            return file.read()
-            .catch((tractorError) => {
-                expect(tractorError).to.be.an.instanceof(TractorError);
-                expect(tractorError.message).to.equal(`Parsing "${path.join(path.sep, 'file-structure', 'directory', 'file.js')}" failed.`);
-                expect(tractorError.status).to.equal(REQUEST_ERROR);
+            return file.save(ast)
+            .then(() => {
+                expect(ast.leadingComments).to.deep.equal(['comment']);
             })
             .finally(() => {
+                escodegen.generate.restore();
                 esprima.parseScript.restore();
-                File.prototype.read.restore();
+                File.prototype.save.restore();
             });
         });
-    });
 
-    describe('JavaScriptFile.refactor:', () => {
-        it('should refactor a JavaScript file', () => {
+        it('should generate JavaScript from the AST', () => {
+            let ast = {};
             let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
             let filePath = path.join(path.sep, 'file-structure', 'directory', 'file.js');
 
-            sinon.stub(File.prototype, 'refactor').resolves();
-            sinon.stub(JavaScriptFile.prototype, 'save').resolves();
+            sinon.stub(escodegen, 'generate');
+            sinon.stub(esprima, 'parseScript');
+            sinon.stub(File.prototype, 'save').resolves();
 
             let file = new JavaScriptFile(filePath, fileStructure);
 
-            return file.refactor('refactor')
+            return file.save(ast)
             .then(() => {
-                expect(File.prototype.refactor).to.have.been.calledWith('refactor');
+                expect(escodegen.generate).to.have.been.calledWith(ast, { comment: true, verbatim: sinon.match.string });
             })
             .finally(() => {
-                File.prototype.refactor.restore();
-                JavaScriptFile.prototype.save.restore();
+                escodegen.generate.restore();
+                esprima.parseScript.restore();
+                File.prototype.save.restore();
             });
         });
 
-        it('should call the appropriate action on the JavaScriptFileRefactorer', () => {
+        it('should only regenerate the changed parts of the file when `preserveFormatting` is set', () => {
+            let javascript = `// comment\nvar  reference = require("./reference");\n\n\nfunction  oldName ( ) { }\n`;
             let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
             let filePath = path.join(path.sep, 'file-structure', 'directory', 'file.js');
 
-            sinon.stub(File.prototype, 'refactor').resolves();
-            sinon.stub(JavaScriptFile.prototype, 'save').resolves();
-            sinon.stub(JavaScriptFileRefactorer, 'identifierChange');
+            sinon.stub(File.prototype, 'save').callsFake(content => Promise.resolve(content));
+            sinon.spy(escodegen, 'generate');
 
-            let file = new JavaScriptFile(filePath, fileStructure);
-            let data = {};
+            let file = new JavaScriptFile(filePath, fileStructure, { preserveFormatting: true });
 
-            return file.refactor('identifierChange', data)
+            return file.save(javascript)
             .then(() => {
-                expect(JavaScriptFileRefactorer.identifierChange).to.have.been.calledWith(file, data);
+                let [identifier] = esquery(file.ast, 'FunctionDeclaration > Identifier');
+                identifier.name = 'newName';
+                return file.save(file.ast);
+            })
+            .then(() => {
+                let [content] = File.prototype.save.lastCall.args;
+                expect(content).to.equal(`// comment\nvar  reference = require("./reference");\n\n\nfunction  newName ( ) { }\n`);
+                expect(escodegen.generate).to.not.have.been.calledWith(file.ast);
             })
             .finally(() => {
-                File.prototype.refactor.restore();
-                JavaScriptFile.prototype.save.restore();
-                JavaScriptFileRefactorer.identifierChange.restore();
+                escodegen.generate.restore();
+                File.prototype.save.restore();
             });
         });
 
-        it(`should do nothing if the action doesn't exist the JavaScriptFileRefactorer`, done => {
+        it('should keep the original text of regular expressions in an AST that has been through JSON', () => {
+            let ast = JSON.parse(JSON.stringify(esprima.parseScript('var a = /a.b/su;\nvar b = /\\//;')));
             let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
             let filePath = path.join(path.sep, 'file-structure', 'directory', 'file.js');
 
-            sinon.stub(File.prototype, 'refactor').resolves();
-            sinon.stub(JavaScriptFile.prototype, 'save').resolves();
+            sinon.stub(File.prototype, 'save').resolves('');
 
             let file = new JavaScriptFile(filePath, fileStructure);
-            let data = {};
 
-            file.refactor('someRefactorAction', data)
-            .then(done)
-            .catch(done.fail)
+            return file.save(ast)
+            .then(() => {
+                let [javascript] = File.prototype.save.lastCall.args;
+                expect(javascript).to.equal('var a = /a.b/su;\nvar b = /\\//;');
+                expect(ast.body[0].declarations[0].init).to.not.have.property('x-tractor-verbatim');
+            })
             .finally(() => {
-                File.prototype.refactor.restore();
-                JavaScriptFile.prototype.save.restore();
+                File.prototype.save.restore();
             });
         });
 
-        it('should save the JavaScript file after it has been refactored', () => {
+        it('should keep the original text of literals whose value has not changed', () => {
+            let ast = esprima.parseScript(`var a = [0x1F, 1e3, .5, "double", 'single', \`\\u0041\${a}\`, 017];`);
+            let [, , , , single] = esquery(ast, 'Literal');
+            single.value = 'changed';
             let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
             let filePath = path.join(path.sep, 'file-structure', 'directory', 'file.js');
 
-            sinon.stub(File.prototype, 'refactor').resolves();
-            sinon.stub(JavaScriptFile.prototype, 'save').resolves();
+            sinon.stub(File.prototype, 'save').resolves('');
 
-            let file = new JavaScriptFile(filePath, fileStructure)
+            let file = new JavaScriptFile(filePath, fileStructure);
 
-            return file.refactor('refactor')
+            return file.save(ast)
             .then(() => {
-                expect(JavaScriptFile.prototype.save).to.have.been.called();
+                let [javascript] = File.prototype.save.lastCall.args;
+                expect(javascript).to.equal(`var a = [\n    0x1F,\n    1e3,\n    .5,\n    "double",\n    'changed',\n    \`\\u0041\${ a }\`,\n    017\n];`);
             })
             .finally(() => {
-                File.prototype.refactor.restore();
-                JavaScriptFile.prototype.save.restore();
+                File.prototype.save.restore();
             });
         });
-    });
 
-    describe('JavaScriptFile.save:', () => {
-        it('should save a JavaScript string to disk', () => {
-            let javascript = '';
+        it('should generate JavaScript with newer syntax with the "acorn" `backend` option', () => {
             let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
             let filePath = path.join(path.sep, 'file-structure', 'directory', 'file.js');
+            let content = `// step\nclass Step {\n    #count = 0n;\n    async run() {\n        return this.load?.("a") ?? <View title="a" />;\n    }\n}\n`;
 
-            sinon.stub(esprima, 'parseScript');
-            sinon.stub(File.prototype, 'save').resolves();
+            sinon.stub(File.prototype, 'read').resolves(content);
+            sinon.stub(File.prototype, 'save').callsFake(javascript => Promise.resolve(javascript));
 
-            let file = new JavaScriptFile(filePath, fileStructure);
+            let file = new JavaScriptFile(filePath, fileStructure, { backend: 'acorn', plugins: ['jsx'] });
 
-            return file.save(javascript)
+            return file.read()
             .then(() => {
-                expect(File.prototype.save).to.have.been.called();
+                let [identifier] = file.query('Identifier[name="load"]');
+                identifier.name = 'fetch';
+                return file.save(file.ast);
+            })
+            .then(() => {
+                let [javascript] = File.prototype.save.lastCall.args;
+                expect(javascript).to.equal(content.replace('load', 'fetch'));
             })
             .finally(() => {
-                esprima.parseScript.restore();
+                File.prototype.read.restore();
                 File.prototype.save.restore();
             });
         });
 
-        it('should assign the `comments` to `leadingComments`', () => {
-            let ast = {
-                comments: ['comment']
-            };
+        it(`shouldn't save a partial AST`, () => {
             let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
             let filePath = path.join(path.sep, 'file-structure', 'directory', 'file.js');
 
-            sinon.stub(escodegen, 'generate');
-            sinon.stub(esprima, 'parseScript');
             sinon.stub(File.prototype, 'save').resolves();
 
             let file = new JavaScriptFile(filePath, fileStructure);
+            file.ast = {};
+            file.partial = true;
 
-            return file.save(ast)
+            return file.save(file.ast)
             .then(() => {
-                expect(ast.leadingComments).to.deep.equal(['comment']);
+                throw new Error('Should not resolve');
+            })
+            .catch(tractorError => {
+                expect(tractorError).to.be.an.instanceof(TractorError);
+                expect(tractorError.message).to.equal(`Cannot save "${filePath}" while it has syntax errors.`);
+                expect(File.prototype.save).to.not.have.been.called();
             })
             .finally(() => {
-                escodegen.generate.restore();
-                esprima.parseScript.restore();
                 File.prototype.save.restore();
             });
         });
 
-        it('should generate JavaScript from the AST', () => {
-            let ast = {};
+        it(`shouldn't save JavaScript with lint errors when the \`blockSave\` lint option is set`, () => {
             let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
             let filePath = path.join(path.sep, 'file-structure', 'directory', 'file.js');
 
-            sinon.stub(escodegen, 'generate');
-            sinon.stub(esprima, 'parseScript');
             sinon.stub(File.prototype, 'save').resolves();
 
-            let file = new JavaScriptFile(filePath, fileStructure);
+            let file = new JavaScriptFile(filePath, fileStructure, { lint: { blockSave: true } });
 
-            return file.save(ast)
+            return file.save(`describe.only('a', function () {});\nbrowser.sleep(1000);`)
             .then(() => {
-                expect(escodegen.generate).to.have.been.calledWith(ast, { comment: true });
+                throw new Error('Should not resolve');
+            })
+            .catch(tractorError => {
+                expect(tractorError).to.be.an.instanceof(TractorError);
+                expect(tractorError.message).to.equal(`Cannot save "${filePath}" while it has lint errors.`);
+                expect(tractorError.diagnostics).to.deep.equal([{
+                    column: 1,
+                    description: 'Focused tests stop the rest of the tests from running.',
+                    line: 1,
+                    rule: 'no-focused-tests',
+                    severity: 'error'
+                }]);
+                expect(File.prototype.save).to.not.have.been.called();
             })
             .finally(() => {
-                escodegen.generate.restore();
-                esprima.parseScript.restore();
                 File.prototype.save.restore();
             });
         });
 
-        it('should rebuild any regular expressions in the AST', () => {
-            let ast = {
-                comments: [],
-                regex: {
-                    type: 'Literal',
-                    raw: '/regex/'
-                }
-            };
+        it('should save JavaScript with lint errors by default', () => {
             let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
             let filePath = path.join(path.sep, 'file-structure', 'directory', 'file.js');
+            let javascript = `describe.only('a', function () {});`;
 
-            sinon.stub(escodegen, 'generate');
-            sinon.stub(esprima, 'parseScript');
-            sinon.stub(File.prototype, 'save').resolves();
+            sinon.stub(File.prototype, 'save').resolves(javascript);
 
             let file = new JavaScriptFile(filePath, fileStructure);
 
-            return file.save(ast)
+            return file.save(javascript)
             .then(() => {
-                expect(ast).to.deep.equal({
-                    comments: [],
-                    leadingComments: [],
-                    regex: {
-                        type: 'Literal',
-                        value: /regex/,
-                        raw: '/regex/'
-                    }
-                });
+                expect(File.prototype.save).to.have.been.calledWith(javascript);
+                expect(file.toJSON().diagnostics.map(diagnostic => diagnostic.rule)).to.deep.equal(['no-focused-tests']);
             })
             .finally(() => {
-                escodegen.generate.restore();
-                esprima.parseScript.restore();
                 File.prototype.save.restore();
             });
         });
@@ -362,6 +1271,28 @@ describe('tractor-file-javascript: JavaScriptFile:', () => {
         });
     });
 
+    describe('JavaScriptFile.setMeta:', () => {
+        it(`should persist the file's metadata when it is saved`, () => {
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let filePath = path.join(path.sep, 'file-structure', 'directory', 'file.js');
+
+            sinon.stub(File.prototype, 'save').callsFake(content => Promise.resolve(content));
+
+            let file = new JavaScriptFile(filePath, fileStructure);
+            file.ast = esprima.parseScript('var a;', { comment: true });
+
+            file.setMeta({ name: 'file' });
+
+            return file.save(file.ast)
+            .then(() => {
+                expect(file.getMeta()).to.deep.equal({ name: 'file' });
+            })
+            .finally(() => {
+                File.prototype.save.restore();
+            });
+        });
+    });
+
     describe('JavaScriptFile.serialise:', () => {
         it(`should include the file's AST`, () => {
             let ast = {
@@ -383,6 +1314,108 @@ describe('tractor-file-javascript: JavaScriptFile:', () => {
 
             File.prototype.serialise.restore();
         });
+
+        it('should leave out the AST when `ast` is `false`', () => {
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let filePath = path.join(path.sep, 'file-structure', 'directory', 'file.js');
+
+            sinon.stub(File.prototype, 'serialise').returns({});
+
+            let file = new JavaScriptFile(filePath, fileStructure);
+            file.ast = esprima.parseScript('var a;');
+
+            let serialised = file.serialise({ ast: false });
+
+            expect(serialised).to.not.have.property('ast');
+
+            File.prototype.serialise.restore();
+        });
+
+        it('should strip the locations from the AST by default', () => {
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let filePath = path.join(path.sep, 'file-structure', 'directory', 'file.js');
+
+            sinon.stub(File.prototype, 'serialise').returns({});
+
+            let file = new JavaScriptFile(filePath, fileStructure);
+            file.ast = esprima.parseScript('var a;', { loc: true, range: true });
+
+            let serialised = file.serialise();
+
+            expect(JSON.stringify(serialised.ast)).to.not.match(/"(loc|range)"/);
+            expect(serialised.ast.body[0].declarations[0].id.name).to.equal('a');
+            expect(file.ast.loc).to.not.equal(undefined);
+
+            File.prototype.serialise.restore();
+        });
+
+        it('should keep the locations in the AST when `locations` is `true`', () => {
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let filePath = path.join(path.sep, 'file-structure', 'directory', 'file.js');
+
+            sinon.stub(File.prototype, 'serialise').returns({});
+
+            let file = new JavaScriptFile(filePath, fileStructure);
+            file.ast = esprima.parseScript('var a;', { loc: true, range: true });
+
+            let serialised = file.serialise({ locations: true });
+
+            expect(serialised.ast).to.equal(file.ast);
+
+            File.prototype.serialise.restore();
+        });
+
+        it('should keep the values of regex literals when stripping the locations', () => {
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let filePath = path.join(path.sep, 'file-structure', 'directory', 'file.js');
+
+            sinon.stub(File.prototype, 'serialise').returns({});
+
+            let file = new JavaScriptFile(filePath, fileStructure);
+            file.ast = esprima.parseScript('var a = /b/g;', { loc: true, range: true });
+
+            let serialised = file.serialise();
+
+            let [declarator] = serialised.ast.body[0].declarations;
+            expect(declarator.init.value).to.be.an.instanceof(RegExp);
+            expect(declarator.init.regex).to.deep.equal({ pattern: 'b', flags: 'g' });
+
+            File.prototype.serialise.restore();
+        });
+
+        it('should leave out the outline when `outline` is `false`', () => {
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let filePath = path.join(path.sep, 'file-structure', 'directory', 'file.js');
+
+            sinon.stub(File.prototype, 'serialise').returns({ outline: [] });
+
+            let file = new JavaScriptFile(filePath, fileStructure);
+            file.ast = esprima.parseScript('function a () {}');
+
+            let serialised = file.serialise({ outline: false });
+
+            expect(serialised).to.not.have.property('outline');
+
+            File.prototype.serialise.restore();
+        });
+
+        it('should use the `serialise` option from the file structure by default', () => {
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let filePath = path.join(path.sep, 'file-structure', 'directory', 'file.js');
+            fileStructure.javascriptFileOptions = { serialise: { ast: false, outline: false } };
+
+            sinon.stub(File.prototype, 'serialise').returns({});
+
+            let file = new JavaScriptFile(filePath, fileStructure);
+            file.ast = esprima.parseScript('var a;');
+
+            let serialised = file.serialise();
+
+            expect(serialised).to.not.have.property('ast');
+            expect(serialised).to.not.have.property('outline');
+
+            File.prototype.serialise.restore();
+        });
     });
 
     describe('JavaScriptFile.toJSON:', () => {
@@ -409,6 +1442,95 @@ describe('tractor-file-javascript: JavaScriptFile:', () => {
             expect(json.meta).to.deep.equal(metadata);
         });
 
+        it('should include the outline of the file', () => {
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let filePath = path.join(path.sep, 'file-structure', 'directory', 'file.js');
+
+            sinon.stub(File.prototype, 'read').resolves('function a () {\n}');
+
+            let file = new JavaScriptFile(filePath, fileStructure);
+
+            return file.read()
+            .then(() => {
+                let json = file.toJSON();
+
+                expect(json.outline).to.deep.equal([{
+                    children: [],
+                    exported: false,
+                    kind: 'function',
+                    loc: { end: { column: 1, line: 2 }, start: { column: 0, line: 1 } },
+                    name: 'a'
+                }]);
+            })
+            .finally(() => {
+                File.prototype.read.restore();
+            });
+        });
+
+        it('should include any parse error', () => {
+            let parseError = {
+                line: 1,
+                column: 9,
+                description: 'Unexpected token ;',
+                codeFrame: '> 1 | var a = ;\n    |         ^'
+            };
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let filePath = path.join(path.sep, 'file-structure', 'directory', 'file.js');
+
+            let file = new JavaScriptFile(filePath, fileStructure);
+            file.parseError = parseError;
+
+            let json = file.toJSON();
+
+            expect(json.parseError).to.equal(parseError);
+        });
+
+        it('should skip comments that are not metadata', () => {
+            let ast = {
+                type: 'Program',
+                body: [],
+                comments: [{
+                    value: ' License: MIT '
+                }, {
+                    value: '{ "name": "javascript file" }'
+                }],
+                sourceType: 'script'
+            };
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let filePath = path.join(path.sep, 'file-structure', 'directory', 'file.js');
+
+            let file = new JavaScriptFile(filePath, fileStructure);
+            file.ast = ast;
+
+            let json = file.toJSON();
+
+            expect(json.meta).to.deep.equal({ name: 'javascript file' });
+        });
+
+        it('should include a diagnostic for invalid metadata', () => {
+            let ast = {
+                type: 'Program',
+                body: [],
+                comments: [{
+                    value: '{ "name": 1 }'
+                }],
+                sourceType: 'script'
+            };
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let filePath = path.join(path.sep, 'file-structure', 'directory', 'file.js');
+
+            let file = new JavaScriptFile(filePath, fileStructure);
+            file.ast = ast;
+
+            let json = file.toJSON();
+
+            expect(json.meta).to.equal(null);
+            expect(json.diagnostics).to.deep.equal([{
+                description: `Invalid metadata in "${filePath}": data.name should be string`,
+                severity: 'error'
+            }]);
+        });
+
         it('should handle invalid JSON', () => {
             let ast = {
                 type: 'Program',
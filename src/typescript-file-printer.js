@@ -0,0 +1,749 @@
+// Constants:
+const ACCESSOR_TYPES = ['AccessorProperty', 'TSAbstractAccessorProperty'];
+const CALL_PRECEDENCE = 19;
+const KEYWORDS = {
+    TSAnyKeyword: 'any',
+    TSBigIntKeyword: 'bigint',
+    TSBooleanKeyword: 'boolean',
+    TSIntrinsicKeyword: 'intrinsic',
+    TSNeverKeyword: 'never',
+    TSNullKeyword: 'null',
+    TSNumberKeyword: 'number',
+    TSObjectKeyword: 'object',
+    TSStringKeyword: 'string',
+    TSSymbolKeyword: 'symbol',
+    TSThisType: 'this',
+    TSUndefinedKeyword: 'undefined',
+    TSUnknownKeyword: 'unknown',
+    TSVoidKeyword: 'void'
+};
+const NEEDS_PARENTHESES = 17;
+const NESTED_TYPES = ['TSConditionalType', 'TSConstructorType', 'TSFunctionType', 'TSIntersectionType', 'TSUnionType'];
+// `(infer U)[]` and `(keyof T)[]` are different from `infer U[]` and `keyof T[]`:
+const POSTFIX_NESTED_TYPES = [...NESTED_TYPES, 'TSInferType', 'TSTypeOperator'];
+// `as` and `satisfies` bind more tightly than any binary operator, but are
+// wrapped in parentheses whenever they are an operand to be safe:
+const PRECEDENCE = {
+    TSAsExpression: 12,
+    TSInstantiationExpression: CALL_PRECEDENCE,
+    TSNonNullExpression: CALL_PRECEDENCE,
+    TSSatisfiesExpression: 12,
+    TSTypeAssertion: 15
+};
+const TYPE = 'type';
+const UNARY_PRECEDENCE = 15;
+
+// Dependencies:
+import * as astring from 'astring';
+import { print } from './javascript-file-printer';
+
+// astring only knows about ESTree nodes, so anything that can have types or
+// TypeScript modifiers needs to be printed here instead:
+const TYPESCRIPT_GENERATOR = {
+    ...getKeywordGenerator(),
+    AccessorProperty (node, state) {
+        this.PropertyDefinition(node, state);
+    },
+    ArrowFunctionExpression (node, state) {
+        state.write(node.async ? 'async ' : '', node);
+        writeSignature(this, state, node, ': ');
+        state.write(' => ');
+        if (node.body.type === 'ObjectExpression') {
+            state.write('(');
+            this.ObjectExpression(node.body, state);
+            state.write(')');
+        } else {
+            this[node.body.type](node.body, state);
+        }
+    },
+    ArrayPattern (node, state) {
+        astring.GENERATOR.ArrayPattern.call(this, node, state);
+        writeTypeAnnotation(this, state, node);
+    },
+    CallExpression (node, state) {
+        if (!node.typeArguments) {
+            astring.GENERATOR.CallExpression.call(this, node, state);
+            return;
+        }
+        writeCallee(this, state, node.callee);
+        state.write(node.optional ? '?.' : '');
+        this[node.typeArguments.type](node.typeArguments, state);
+        state.write('(');
+        writeList(this, state, node.arguments);
+        state.write(')');
+    },
+    ClassDeclaration (node, state) {
+        writeDecorators(this, state, node);
+        writeModifiers(state, node, ['declare', 'abstract']);
+        state.write('class ', node);
+        if (node.id) {
+            this[node.id.type](node.id, state);
+            writeTypeParameters(this, state, node);
+            state.write(' ');
+        }
+        if (node.superClass) {
+            state.write('extends ');
+            writeCallee(this, state, node.superClass);
+            let superTypeArguments = node.superTypeArguments || node.superTypeParameters;
+            if (superTypeArguments) {
+                this[superTypeArguments.type](superTypeArguments, state);
+            }
+            state.write(' ');
+        }
+        if (node.implements && node.implements.length) {
+            state.write('implements ');
+            writeList(this, state, node.implements);
+            state.write(' ');
+        }
+        this.ClassBody(node.body, state);
+    },
+    ClassExpression (node, state) {
+        this.ClassDeclaration(node, state);
+    },
+    ExportAllDeclaration (node, state) {
+        if (node.exportKind !== TYPE) {
+            astring.GENERATOR.ExportAllDeclaration.call(this, node, state);
+            return;
+        }
+        state.write('export type * ', node);
+        if (node.exported) {
+            state.write('as ');
+            this[node.exported.type](node.exported, state);
+            state.write(' ');
+        }
+        state.write('from ');
+        this.Literal(node.source, state);
+        state.write(';');
+    },
+    ExportNamedDeclaration (node, state) {
+        let hasTypes = node.exportKind === TYPE || node.specifiers.some(specifier => specifier.exportKind === TYPE);
+        if (node.declaration || !hasTypes) {
+            astring.GENERATOR.ExportNamedDeclaration.call(this, node, state);
+            return;
+        }
+
+        state.write(node.exportKind === TYPE ? 'export type {' : 'export {', node);
+        node.specifiers.forEach((specifier, index) => {
+            state.write(index ? ', ' : '');
+            state.write(specifier.exportKind === TYPE ? 'type ' : '');
+            this[specifier.local.type](specifier.local, state);
+            if (getName(specifier.local) !== getName(specifier.exported)) {
+                state.write(' as ');
+                this[specifier.exported.type](specifier.exported, state);
+            }
+        });
+        state.write('}');
+        if (node.source) {
+            state.write(' from ');
+            this.Literal(node.source, state);
+        }
+        state.write(';');
+    },
+    FunctionDeclaration (node, state) {
+        writeModifiers(state, node, ['declare', 'async']);
+        state.write(node.generator ? 'function* ' : 'function ', node);
+        if (node.id) {
+            this[node.id.type](node.id, state);
+        }
+        writeSignature(this, state, node, ': ');
+        if (node.body) {
+            state.write(' ');
+            this[node.body.type](node.body, state);
+        } else {
+            state.write(';');
+        }
+    },
+    FunctionExpression (node, state) {
+        this.FunctionDeclaration(node, state);
+    },
+    Identifier (node, state) {
+        state.write(node.name, node);
+        if (node.optional) {
+            state.write('?');
+        }
+        writeTypeAnnotation(this, state, node);
+    },
+    ImportDeclaration (node, state) {
+        let hasTypes = node.importKind === TYPE || node.specifiers.some(specifier => specifier.importKind === TYPE);
+        if (!hasTypes) {
+            astring.GENERATOR.ImportDeclaration.call(this, node, state);
+            return;
+        }
+
+        state.write(node.importKind === TYPE ? 'import type ' : 'import ', node);
+        let named = node.specifiers.filter(specifier => specifier.type === 'ImportSpecifier');
+        let other = node.specifiers.filter(specifier => specifier.type !== 'ImportSpecifier');
+        other.forEach((specifier, index) => {
+            state.write(index ? ', ' : '');
+            state.write(specifier.type === 'ImportNamespaceSpecifier' ? `* as ${specifier.local.name}` : specifier.local.name);
+        });
+        if (named.length) {
+            state.write(other.length ? ', {' : '{');
+            named.forEach((specifier, index) => {
+                state.write(index ? ', ' : '');
+                state.write(specifier.importKind === TYPE ? `type ${specifier.imported.name}` : specifier.imported.name);
+                if (specifier.imported.name !== specifier.local.name) {
+                    state.write(` as ${specifier.local.name}`);
+                }
+            });
+            state.write('}');
+        }
+        state.write(' from ');
+        this.Literal(node.source, state);
+        state.write(';');
+    },
+    MethodDefinition (node, state) {
+        let { value } = node;
+        writeDecorators(this, state, node);
+        writeModifiers(state, node, ['accessibility', 'static', 'override']);
+        if (node.type === 'TSAbstractMethodDefinition') {
+            state.write('abstract ');
+        }
+        if (node.kind === 'get' || node.kind === 'set') {
+            state.write(`${node.kind} `);
+        }
+        writeModifiers(state, value, ['async']);
+        state.write(value.generator ? '*' : '');
+        writeKey(this, state, node);
+        state.write(node.optional ? '?' : '');
+        writeSignature(this, state, value, ': ');
+        if (value.body) {
+            state.write(' ');
+            this[value.body.type](value.body, state);
+        } else {
+            state.write(';');
+        }
+    },
+    NewExpression (node, state) {
+        if (!node.typeArguments) {
+            astring.GENERATOR.NewExpression.call(this, node, state);
+            return;
+        }
+        state.write('new ');
+        writeCallee(this, state, node.callee);
+        this[node.typeArguments.type](node.typeArguments, state);
+        state.write('(');
+        writeList(this, state, node.arguments);
+        state.write(')');
+    },
+    ObjectPattern (node, state) {
+        astring.GENERATOR.ObjectPattern.call(this, node, state);
+        writeTypeAnnotation(this, state, node);
+    },
+    PropertyDefinition (node, state) {
+        writeDecorators(this, state, node);
+        writeModifiers(state, node, ['declare', 'accessibility', 'static', 'override']);
+        if (node.type === 'TSAbstractPropertyDefinition' || node.type === 'TSAbstractAccessorProperty') {
+            state.write('abstract ');
+        }
+        writeModifiers(state, node, ['readonly']);
+        if (ACCESSOR_TYPES.includes(node.type)) {
+            state.write('accessor ');
+        }
+        writeKey(this, state, node);
+        state.write(node.optional ? '?' : '');
+        state.write(node.definite ? '!' : '');
+        writeTypeAnnotation(this, state, node);
+        if (node.value) {
+            state.write(' = ');
+            this[node.value.type](node.value, state);
+        }
+        state.write(';');
+    },
+    RestElement (node, state) {
+        state.write('...');
+        this[node.argument.type](node.argument, state);
+        writeTypeAnnotation(this, state, node);
+    },
+    TSAbstractAccessorProperty (node, state) {
+        this.PropertyDefinition(node, state);
+    },
+    TSAbstractMethodDefinition (node, state) {
+        this.MethodDefinition(node, state);
+    },
+    TSAbstractPropertyDefinition (node, state) {
+        this.PropertyDefinition(node, state);
+    },
+    TSArrayType (node, state) {
+        writeNestedType(this, state, node.elementType, POSTFIX_NESTED_TYPES);
+        state.write('[]');
+    },
+    TSAsExpression (node, state) {
+        writeOperand(this, state, node);
+        state.write(' as ');
+        this[node.typeAnnotation.type](node.typeAnnotation, state);
+    },
+    TSCallSignatureDeclaration (node, state) {
+        writeSignature(this, state, node, ': ');
+    },
+    TSClassImplements (node, state) {
+        this.TSInterfaceHeritage(node, state);
+    },
+    TSConditionalType (node, state) {
+        writeNestedType(this, state, node.checkType);
+        state.write(' extends ');
+        writeNestedType(this, state, node.extendsType);
+        state.write(' ? ');
+        this[node.trueType.type](node.trueType, state);
+        state.write(' : ');
+        this[node.falseType.type](node.falseType, state);
+    },
+    TSConstructSignatureDeclaration (node, state) {
+        state.write('new ');
+        writeSignature(this, state, node, ': ');
+    },
+    TSConstructorType (node, state) {
+        writeModifiers(state, node, ['abstract']);
+        state.write('new ');
+        this.TSFunctionType(node, state);
+    },
+    TSDeclareFunction (node, state) {
+        this.FunctionDeclaration(node, state);
+    },
+    TSEmptyBodyFunctionExpression (node, state) {
+        this.FunctionDeclaration(node, state);
+    },
+    TSEnumDeclaration (node, state) {
+        let { members } = node.body || node;
+        writeModifiers(state, node, ['declare', 'const']);
+        state.write('enum ', node);
+        this[node.id.type](node.id, state);
+        state.write(' ');
+        writeBlock(this, state, members, ',');
+    },
+    TSEnumMember (node, state) {
+        writeKey(this, state, node);
+        if (node.initializer) {
+            state.write(' = ');
+            this[node.initializer.type](node.initializer, state);
+        }
+    },
+    TSExportAssignment (node, state) {
+        state.write('export = ', node);
+        this[node.expression.type](node.expression, state);
+        state.write(';');
+    },
+    TSExternalModuleReference (node, state) {
+        state.write('require(');
+        this[node.expression.type](node.expression, state);
+        state.write(')');
+    },
+    TSFunctionType (node, state) {
+        writeSignature(this, state, node, ' => ');
+    },
+    TSImportEqualsDeclaration (node, state) {
+        state.write(node.importKind === TYPE ? 'import type ' : 'import ', node);
+        this[node.id.type](node.id, state);
+        state.write(' = ');
+        this[node.moduleReference.type](node.moduleReference, state);
+        state.write(';');
+    },
+    TSImportType (node, state) {
+        let source = node.source || node.argument;
+        state.write('import(', node);
+        this[source.type](source, state);
+        if (node.options) {
+            state.write(', ');
+            this[node.options.type](node.options, state);
+        }
+        state.write(')');
+        if (node.qualifier) {
+            state.write('.');
+            this[node.qualifier.type](node.qualifier, state);
+        }
+        let typeArguments = node.typeArguments || node.typeParameters;
+        if (typeArguments) {
+            this[typeArguments.type](typeArguments, state);
+        }
+    },
+    TSIndexedAccessType (node, state) {
+        writeNestedType(this, state, node.objectType, POSTFIX_NESTED_TYPES);
+        state.write('[');
+        this[node.indexType.type](node.indexType, state);
+        state.write(']');
+    },
+    TSIndexSignature (node, state) {
+        writeModifiers(state, node, ['static', 'readonly']);
+        state.write('[');
+        writeList(this, state, node.parameters);
+        state.write(']');
+        writeTypeAnnotation(this, state, node);
+    },
+    TSInferType (node, state) {
+        state.write('infer ');
+        this[node.typeParameter.type](node.typeParameter, state);
+    },
+    TSInstantiationExpression (node, state) {
+        writeCallee(this, state, node.expression);
+        this[node.typeArguments.type](node.typeArguments, state);
+    },
+    TSInterfaceBody (node, state) {
+        writeBlock(this, state, node.body, ';');
+    },
+    TSInterfaceDeclaration (node, state) {
+        writeModifiers(state, node, ['declare']);
+        state.write('interface ', node);
+        this[node.id.type](node.id, state);
+        writeTypeParameters(this, state, node);
+        state.write(' ');
+        if (node.extends && node.extends.length) {
+            state.write('extends ');
+            writeList(this, state, node.extends);
+            state.write(' ');
+        }
+        this[node.body.type](node.body, state);
+    },
+    TSInterfaceHeritage (node, state) {
+        this[node.expression.type](node.expression, state);
+        let typeArguments = node.typeArguments || node.typeParameters;
+        if (typeArguments) {
+            this[typeArguments.type](typeArguments, state);
+        }
+    },
+    TSIntersectionType (node, state) {
+        writeTypes(this, state, node.types, ' & ');
+    },
+    TSLiteralType (node, state) {
+        this[node.literal.type](node.literal, state);
+    },
+    TSMappedType (node, state) {
+        let key = node.key || node.typeParameter.name;
+        let constraint = node.constraint || node.typeParameter.constraint;
+        state.write('{ ');
+        writeMappedModifier(state, node.readonly, 'readonly ');
+        state.write('[');
+        this[key.type](key, state);
+        state.write(' in ');
+        this[constraint.type](constraint, state);
+        if (node.nameType) {
+            state.write(' as ');
+            this[node.nameType.type](node.nameType, state);
+        }
+        state.write(']');
+        writeMappedModifier(state, node.optional, '?');
+        if (node.typeAnnotation) {
+            state.write(': ');
+            this[node.typeAnnotation.type](node.typeAnnotation, state);
+        }
+        state.write(' }');
+    },
+    TSMethodSignature (node, state) {
+        if (node.kind === 'get' || node.kind === 'set') {
+            state.write(`${node.kind} `);
+        }
+        writeKey(this, state, node);
+        state.write(node.optional ? '?' : '');
+        writeSignature(this, state, node, ': ');
+    },
+    TSModuleBlock (node, state) {
+        writeBlock(this, state, node.body, '');
+    },
+    TSModuleDeclaration (node, state) {
+        writeModifiers(state, node, ['declare']);
+        if (node.kind !== 'global') {
+            state.write(node.id.type === 'Literal' ? 'module ' : `${node.kind || 'namespace'} `, node);
+        }
+        this[node.id.type](node.id, state);
+        if (node.body) {
+            state.write(' ');
+            this[node.body.type](node.body, state);
+        } else {
+            state.write(';');
+        }
+    },
+    TSNamedTupleMember (node, state) {
+        this[node.label.type](node.label, state);
+        state.write(node.optional ? '?: ' : ': ');
+        this[node.elementType.type](node.elementType, state);
+    },
+    TSNonNullExpression (node, state) {
+        writeCallee(this, state, node.expression);
+        state.write('!');
+    },
+    TSOptionalType (node, state) {
+        writeNestedType(this, state, node.typeAnnotation);
+        state.write('?');
+    },
+    TSParameterProperty (node, state) {
+        writeModifiers(state, node, ['accessibility', 'static', 'override', 'readonly']);
+        this[node.parameter.type](node.parameter, state);
+    },
+    TSPropertySignature (node, state) {
+        writeModifiers(state, node, ['static', 'readonly']);
+        writeKey(this, state, node);
+        state.write(node.optional ? '?' : '');
+        writeTypeAnnotation(this, state, node);
+    },
+    TSQualifiedName (node, state) {
+        this[node.left.type](node.left, state);
+        state.write('.');
+        this[node.right.type](node.right, state);
+    },
+    TSRestType (node, state) {
+        state.write('...');
+        this[node.typeAnnotation.type](node.typeAnnotation, state);
+    },
+    TSSatisfiesExpression (node, state) {
+        writeOperand(this, state, node);
+        state.write(' satisfies ');
+        this[node.typeAnnotation.type](node.typeAnnotation, state);
+    },
+    TSTemplateLiteralType (node, state) {
+        state.write('`');
+        node.quasis.forEach((quasi, index) => {
+            state.write(quasi.value.raw, quasi);
+            if (index < node.types.length) {
+                state.write('${');
+                this[node.types[index].type](node.types[index], state);
+                state.write('}');
+            }
+        });
+        state.write('`');
+    },
+    TSTupleType (node, state) {
+        state.write('[');
+        writeList(this, state, node.elementTypes);
+        state.write(']');
+    },
+    TSTypeAliasDeclaration (node, state) {
+        writeModifiers(state, node, ['declare']);
+        state.write('type ', node);
+        this[node.id.type](node.id, state);
+        writeTypeParameters(this, state, node);
+        state.write(' = ');
+        this[node.typeAnnotation.type](node.typeAnnotation, state);
+        state.write(';');
+    },
+    TSTypeAnnotation (node, state) {
+        state.write(': ');
+        this[node.typeAnnotation.type](node.typeAnnotation, state);
+    },
+    TSTypeAssertion (node, state) {
+        state.write('<');
+        this[node.typeAnnotation.type](node.typeAnnotation, state);
+        state.write('>');
+        writeOperand(this, state, node);
+    },
+    TSTypeLiteral (node, state) {
+        if (!node.members.length) {
+            state.write('{}', node);
+            return;
+        }
+        state.write('{ ', node);
+        node.members.forEach(member => {
+            this[member.type](member, state);
+            state.write('; ');
+        });
+        state.write('}');
+    },
+    TSTypeOperator (node, state) {
+        state.write(`${node.operator} `);
+        writeNestedType(this, state, node.typeAnnotation);
+    },
+    TSTypeParameter (node, state) {
+        writeModifiers(state, node, ['const']);
+        state.write(node.in ? 'in ' : '');
+        state.write(node.out ? 'out ' : '');
+        if (typeof node.name === 'string') {
+            state.write(node.name, node);
+        } else {
+            this[node.name.type](node.name, state);
+        }
+        if (node.constraint) {
+            state.write(' extends ');
+            this[node.constraint.type](node.constraint, state);
+        }
+        if (node.default) {
+            state.write(' = ');
+            this[node.default.type](node.default, state);
+        }
+    },
+    TSTypeParameterDeclaration (node, state) {
+        state.write('<');
+        writeList(this, state, node.params);
+        state.write('>');
+    },
+    TSTypeParameterInstantiation (node, state) {
+        this.TSTypeParameterDeclaration(node, state);
+    },
+    TSTypePredicate (node, state) {
+        state.write(node.asserts ? 'asserts ' : '');
+        this[node.parameterName.type](node.parameterName, state);
+        if (node.typeAnnotation) {
+            state.write(' is ');
+            this[node.typeAnnotation.typeAnnotation.type](node.typeAnnotation.typeAnnotation, state);
+        }
+    },
+    TSTypeQuery (node, state) {
+        state.write('typeof ');
+        this[node.exprName.type](node.exprName, state);
+        let typeArguments = node.typeArguments || node.typeParameters;
+        if (typeArguments) {
+            this[typeArguments.type](typeArguments, state);
+        }
+    },
+    TSTypeReference (node, state) {
+        this[node.typeName.type](node.typeName, state);
+        let typeArguments = node.typeArguments || node.typeParameters;
+        if (typeArguments) {
+            this[typeArguments.type](typeArguments, state);
+        }
+    },
+    TSUnionType (node, state) {
+        writeTypes(this, state, node.types, ' | ');
+    },
+    VariableDeclaration (node, state) {
+        writeModifiers(state, node, ['declare']);
+        astring.GENERATOR.VariableDeclaration.call(this, node, state);
+    },
+    VariableDeclarator (node, state) {
+        if (!node.definite) {
+            astring.GENERATOR.VariableDeclarator.call(this, node, state);
+            return;
+        }
+        state.write(`${node.id.name}!`, node.id);
+        writeTypeAnnotation(this, state, node.id);
+        if (node.init) {
+            state.write(' = ');
+            this[node.init.type](node.init, state);
+        }
+    }
+};
+
+export function printTypeScript (node, options = {}) {
+    return print(node, options, { generator: TYPESCRIPT_GENERATOR, precedence: PRECEDENCE });
+}
+
+function getName (node) {
+    return node.type === 'Identifier' ? node.name : node.value;
+}
+
+function getKeywordGenerator () {
+    return Object.keys(KEYWORDS).reduce((generator, type) => {
+        generator[type] = (node, state) => state.write(KEYWORDS[type], node);
+        return generator;
+    }, {});
+}
+
+function needsParentheses (state, node, precedence) {
+    let nodePrecedence = state.expressionsPrecedence[node.type];
+    return nodePrecedence === NEEDS_PARENTHESES || nodePrecedence < precedence;
+}
+
+function writeBlock (generator, state, members, separator) {
+    let indent = state.indent.repeat(state.indentLevel);
+    state.indentLevel += 1;
+    state.write('{');
+    if (members.length) {
+        state.write(state.lineEnd);
+        members.forEach(member => {
+            state.write(indent + state.indent);
+            generator[member.type](member, state);
+            state.write(separator + state.lineEnd);
+        });
+        state.write(indent);
+    }
+    state.write('}');
+    state.indentLevel -= 1;
+}
+
+// An optional chain has to be wrapped so that what follows it doesn't become
+// part of the chain, e.g. `(a?.b)!.c`:
+function writeCallee (generator, state, node) {
+    let parentheses = node.type === 'ChainExpression' || needsParentheses(state, node, CALL_PRECEDENCE);
+    state.write(parentheses ? '(' : '');
+    generator[node.type](node, state);
+    state.write(parentheses ? ')' : '');
+}
+
+function writeDecorators (generator, state, node) {
+    (node.decorators || []).forEach(decorator => {
+        state.write('@');
+        generator[decorator.expression.type](decorator.expression, state);
+        state.write(' ');
+    });
+}
+
+function writeKey (generator, state, node) {
+    let key = node.key || node.id;
+    state.write(node.computed ? '[' : '');
+    generator[key.type](key, state);
+    state.write(node.computed ? ']' : '');
+}
+
+function writeList (generator, state, nodes) {
+    nodes.forEach((node, index) => {
+        state.write(index ? ', ' : '');
+        generator[node.type](node, state);
+    });
+}
+
+function writeMappedModifier (state, modifier, text) {
+    if (modifier === '+' || modifier === '-') {
+        state.write(`${modifier}${text}`);
+    } else if (modifier) {
+        state.write(text);
+    }
+}
+
+function writeModifiers (state, node, modifiers) {
+    modifiers.forEach(modifier => {
+        let value = node[modifier];
+        if (typeof value === 'string') {
+            state.write(`${value} `);
+        } else if (value) {
+            state.write(`${modifier} `);
+        }
+    });
+}
+
+function writeNestedType (generator, state, node, nestedTypes = NESTED_TYPES) {
+    let parentheses = nestedTypes.includes(node.type);
+    state.write(parentheses ? '(' : '');
+    generator[node.type](node, state);
+    state.write(parentheses ? ')' : '');
+}
+
+function writeOperand (generator, state, node) {
+    let parentheses = needsParentheses(state, node.expression, UNARY_PRECEDENCE);
+    state.write(parentheses ? '(' : '');
+    generator[node.expression.type](node.expression, state);
+    state.write(parentheses ? ')' : '');
+}
+
+// Functions, methods and function types all have type parameters, parameters
+// and a return type, which is either after a `:` or a `=>`:
+function writeSignature (generator, state, node, returnSeparator) {
+    writeTypeParameters(generator, state, node);
+    state.write('(');
+    (node.params || node.parameters || []).forEach((param, index) => {
+        state.write(index ? ', ' : '');
+        writeDecorators(generator, state, param);
+        generator[param.type](param, state);
+    });
+    state.write(')');
+    let returnType = node.returnType || node.typeAnnotation;
+    if (returnType) {
+        state.write(returnSeparator);
+        generator[returnType.typeAnnotation.type](returnType.typeAnnotation, state);
+    }
+}
+
+function writeTypeAnnotation (generator, state, node) {
+    if (node.typeAnnotation) {
+        generator[node.typeAnnotation.type](node.typeAnnotation, state);
+    }
+}
+
+function writeTypeParameters (generator, state, node) {
+    if (node.typeParameters) {
+        generator[node.typeParameters.type](node.typeParameters, state);
+    }
+}
+
+function writeTypes (generator, state, types, separator) {
+    types.forEach((type, index) => {
+        state.write(index ? separator : '');
+        writeNestedType(generator, state, type);
+    });
+}
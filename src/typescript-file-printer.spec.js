@@ -0,0 +1,149 @@
+/* global describe:true, it:true */
+
+// Test setup:
+import { expect } from '../test-setup';
+
+// Dependencies:
+import { parse } from '@typescript-eslint/typescript-estree';
+import { visitorKeys } from '@typescript-eslint/visitor-keys';
+import esquery from 'esquery';
+
+// Under test:
+import { printTypeScript } from './typescript-file-printer';
+
+describe('tractor-file-javascript: typescript-file-printer:', () => {
+    describe('printTypeScript:', () => {
+        it('should print classes with types and modifiers', () => {
+            let content = [
+                `import type {Options} from './options';`,
+                `import {Page, type Selector as S} from './page';`,
+                `export abstract class LoginPage<T extends object = {}> extends Page<T> implements Loadable, Named {`,
+                `    private readonly name?: string = 'login';`,
+                `    static count!: number;`,
+                `    protected abstract load(): void;`,
+                `    constructor(public el: ElementFinder, ...rest: S[]) {`,
+                `        super();`,
+                `    }`,
+                `    async login({user}: Options, retries = 1): Promise<void> {`,
+                `        await (this.el! as any).click<string>();`,
+                `    }`,
+                `    get title(): string {`,
+                `        return <string>this.name;`,
+                `    }`,
+                `}`,
+                ''
+            ].join('\n');
+
+            expect(printTypeScript(parse(content))).to.equal(content);
+        });
+
+        it('should print type declarations', () => {
+            let content = [
+                `interface User<T> extends Base<T> {`,
+                `    readonly name: string;`,
+                `    age?: number;`,
+                `    [key: string]: unknown;`,
+                `    greet(other: User<T>): string;`,
+                `    new (name: string): User<T>;`,
+                `}`,
+                `type Id = string | number[] | (() => void) | [first: string, second?: number];`,
+                `type Keys<T> = { readonly [K in keyof T]?: T[K] extends Function ? never : K };`,
+                `type Check = typeof value | 'a' | \`id-\${string}\` | { a: string; };`,
+                `declare const enum Direction {`,
+                `    Up = 1,`,
+                `    Down,`,
+                `}`,
+                `declare module 'module' {`,
+                `    export function load<T>(path: string): Promise<T>;`,
+                `}`,
+                `function isUser(value: unknown): value is User<string> {`,
+                `    return (value satisfies object) !== null;`,
+                `}`,
+                ''
+            ].join('\n');
+
+            expect(printTypeScript(parse(content))).to.equal(content);
+        });
+
+        it('should print type exports, import types, accessors and parameter decorators', () => {
+            let content = [
+                `export type {B} from './b';`,
+                `export {type C, D as E} from './c';`,
+                `export type * as ns from './ns';`,
+                `export let value: typeof import('./x') = null;`,
+                `export let imported: import('./x').Y<string> = null;`,
+                `abstract class K {`,
+                `    static accessor count = 0;`,
+                `    protected abstract accessor name: string;`,
+                `    constructor(@inject() private readonly service: Service) {}`,
+                `    m(@inject() a: number, @optional() b?: string): void {}`,
+                `}`,
+                `declare const a: number;`,
+                `let b!: string;`,
+                `type Elements<T> = T extends (infer U)[] ? U : (keyof T)[];`,
+                ''
+            ].join('\n');
+
+            expect(printTypeScript(parse(content))).to.equal(content);
+        });
+
+        it('should print code that parses to the same AST', () => {
+            let content = [
+                `import Default, {Page, type Selector as S} from './page';`,
+                `import fs = require('fs');`,
+                `export {type Options, Page as Other};`,
+                `export * from './everything';`,
+                `namespace N.M { export const a = 1; }`,
+                `enum Color { Red = 1, Green = 'g' }`,
+                `type Minus<T> = { -readonly [K in keyof T]-?: T[K] };`,
+                `type Tuple = [a: string, b?: number, ...rest: boolean[]];`,
+                `type Ctor = abstract new () => object;`,
+                `type Asserts = (x: unknown) => asserts x is string;`,
+                `interface I<in out T> extends A, B<T> { m<U>(u: U): T; }`,
+                `abstract class K<const T> extends Base<T> implements I<T> {`,
+                `    static #count = 0;`,
+                `    declare readonly d: number;`,
+                `    accessor acc = 1;`,
+                `    override q!: number;`,
+                `    static { K.#count++; }`,
+                `    constructor(@inject() private readonly service: Service, @optional() public other?: Other) { super(); }`,
+                `    @decorate() m(@inject() a: number, {b}: { b: string } = { b: '' }): void {`,
+                `        const x = (a as unknown) as string;`,
+                `        const y = <string>x satisfies string;`,
+                `        const f = make<string>;`,
+                `        let arrow = async <T>(t: T): Promise<T> => t;`,
+                `    }`,
+                `}`,
+                `function overload(a: string): void;`,
+                `function overload(this: Window, a?: any): void {}`,
+                `declare let dl: string;`,
+                `let nn = a!.b!?.[c]?.(d);`,
+                `let chained = (a?.b)!.c;`,
+                `let instantiated = (a?.b)<T>;`,
+                `export = Color;`
+            ].join('\n');
+            let ast = parse(content);
+
+            expect(stripLocations(parse(printTypeScript(ast)))).to.deep.equal(stripLocations(ast));
+        });
+
+        it('should add parentheses around type expressions when they are needed', () => {
+            let ast = parse('(a as B).c;\n(a + b) as C;\nnew (a!)<B>();\n');
+
+            expect(printTypeScript(ast)).to.equal('(a as B).c;\n(a + b) as C;\nnew a!<B>();\n');
+        });
+
+        it('should print literals from their value when it has changed', () => {
+            let ast = parse(`let a: 'a' = "a";`);
+            let [type, value] = esquery(ast, 'Literal', { visitorKeys });
+            type.value = 'b';
+            value.value = 'b';
+
+            expect(printTypeScript(ast)).to.equal(`let a: 'b' = 'b';\n`);
+        });
+    });
+});
+
+function stripLocations (ast) {
+    return JSON.parse(JSON.stringify(ast, (key, value) => ['loc', 'range', 'raw'].includes(key) ? undefined : value));
+}
@@ -0,0 +1,21 @@
+// Constants:
+const TYPESCRIPT_BACKEND = 'typescript';
+
+// Dependencies:
+import { JavaScriptFile } from './javascript-file';
+
+export class TypeScriptFile extends JavaScriptFile {
+    constructor (filePath, fileStructure, options = {}) {
+        super(filePath, fileStructure, options);
+
+        // Only the parts of a TypeScript file that change are printed again,
+        // so the rest of the file is left exactly as it was written:
+        this.options = {
+            preserveFormatting: true,
+            ...this.options,
+            ...fileStructure.typescriptFileOptions,
+            ...options,
+            backend: TYPESCRIPT_BACKEND
+        };
+    }
+}
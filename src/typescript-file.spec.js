@@ -0,0 +1,260 @@
+/* global describe:true, it:true */
+
+// Test setup:
+import { expect, sinon } from '../test-setup';
+
+// Dependencies:
+import path from 'path';
+import { File, FileStructure } from 'tractor-file-structure';
+import { JavaScriptFile } from './javascript-file';
+
+// Under test:
+import { TypeScriptFile } from './typescript-file';
+
+describe('tractor-file-javascript: TypeScriptFile:', () => {
+    describe('TypeScriptFile constructor:', () => {
+        it('should create a new TypeScriptFile', () => {
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let filePath = path.join(path.sep, 'file-structure', 'directory', 'file.ts');
+
+            let file = new TypeScriptFile(filePath, fileStructure);
+
+            expect(file).to.be.an.instanceof(TypeScriptFile);
+            expect(file).to.be.an.instanceof(JavaScriptFile);
+        });
+
+        it('should always use the "typescript" backend and preserve formatting by default', () => {
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let filePath = path.join(path.sep, 'file-structure', 'directory', 'file.ts');
+            fileStructure.javascriptFileOptions = { backend: 'acorn', format: { indent: 2 } };
+            fileStructure.typescriptFileOptions = { plugins: ['jsx'] };
+
+            let file = new TypeScriptFile(filePath, fileStructure);
+
+            expect(file.options).to.deep.equal({ backend: 'typescript', format: { indent: 2 }, plugins: ['jsx'], preserveFormatting: true });
+        });
+    });
+
+    describe('TypeScriptFile.read:', () => {
+        it('should parse the contents to an ESTree AST', () => {
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let filePath = path.join(path.sep, 'file-structure', 'directory', 'file.ts');
+
+            sinon.stub(File.prototype, 'read').resolves(`export class Page {\n    private name: string = 'page';\n}\n`);
+
+            let file = new TypeScriptFile(filePath, fileStructure);
+
+            return file.read()
+            .then(() => {
+                expect(file.ast.type).to.equal('Program');
+                expect(file.query('PropertyDefinition[accessibility="private"] TSStringKeyword').length).to.equal(1);
+            })
+            .finally(() => {
+                File.prototype.read.restore();
+            });
+        });
+
+        it('should update the references between files', () => {
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let file = new TypeScriptFile(path.join(path.sep, 'file-structure', 'directory', 'file.ts'), fileStructure);
+            let page = new TypeScriptFile(path.join(path.sep, 'file-structure', 'directory', 'page.ts'), fileStructure);
+
+            sinon.stub(File.prototype, 'read').resolves(`import { Page } from './page';\nimport type { Options } from './options';\n`);
+
+            return file.read()
+            .then(() => {
+                expect(file.references).to.deep.equal([page]);
+                expect(file.toJSON().unresolvedReferences).to.equal(undefined);
+            })
+            .finally(() => {
+                File.prototype.read.restore();
+            });
+        });
+
+        it('should report unresolved references with their original text', () => {
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let file = new TypeScriptFile(path.join(path.sep, 'file-structure', 'directory', 'file.ts'), fileStructure);
+
+            sinon.stub(File.prototype, 'read').callsFake(function () {
+                this.content = `const page = require(name as string);\npage();\n`;
+                return Promise.resolve(this.content);
+            });
+
+            return file.read()
+            .then(() => {
+                expect(file.toJSON().unresolvedReferences).to.deep.equal([{ column: 14, line: 1, source: 'require(name as string)' }]);
+            })
+            .finally(() => {
+                File.prototype.read.restore();
+            });
+        });
+
+        it(`shouldn't report imports that are only used as types as unused`, () => {
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let file = new TypeScriptFile(path.join(path.sep, 'file-structure', 'directory', 'file.ts'), fileStructure);
+            new TypeScriptFile(path.join(path.sep, 'file-structure', 'directory', 'page.ts'), fileStructure);
+
+            sinon.stub(File.prototype, 'read').resolves(`import { Page } from './page';\nexport let page: Page = null;\n`);
+
+            return file.read()
+            .then(() => {
+                expect(file.toJSON().diagnostics).to.deep.equal([]);
+            })
+            .finally(() => {
+                File.prototype.read.restore();
+            });
+        });
+
+        it('should include the location of any syntax error', () => {
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let filePath = path.join(path.sep, 'file-structure', 'directory', 'file.ts');
+
+            let file = new TypeScriptFile(filePath, fileStructure);
+
+            sinon.stub(File.prototype, 'read').callsFake(() => {
+                file.content = 'let a: = 1;';
+                return Promise.resolve(file.content);
+            });
+
+            return file.read()
+            .then(() => expect.fail())
+            .catch(tractorError => {
+                expect(tractorError.parseError.line).to.equal(1);
+                expect(tractorError.parseError.column).to.equal(8);
+                expect(tractorError.parseError.description).to.equal('Type expected.');
+            })
+            .finally(() => {
+                File.prototype.read.restore();
+            });
+        });
+    });
+
+    describe('TypeScriptFile.refactor:', () => {
+        it('should rename identifiers without changing the rest of the file', () => {
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let filePath = path.join(path.sep, 'file-structure', 'directory', 'file.ts');
+            let content = `export class Page {\n  constructor (private readonly el: ElementFinder) { }\n\n  async open (url : string): Promise<void> {\n    await this.el.click( ) as void;\n  }\n}\n`;
+
+            let file = new TypeScriptFile(filePath, fileStructure);
+
+            sinon.stub(File.prototype, 'read').callsFake(() => {
+                file.content = content;
+                return Promise.resolve(content);
+            });
+            sinon.stub(File.prototype, 'refactor').resolves();
+            sinon.stub(File.prototype, 'save').callsFake(javascript => Promise.resolve(javascript));
+
+            return file.read()
+            .then(() => file.refactor('identifierChange', { oldName: 'url', newName: 'path' }))
+            .then(() => {
+                let [javascript] = File.prototype.save.lastCall.args;
+                expect(javascript).to.equal(content.replace('url : string', 'path: string'));
+            })
+            .finally(() => {
+                File.prototype.read.restore();
+                File.prototype.refactor.restore();
+                File.prototype.save.restore();
+            });
+        });
+
+        it('should rename identifiers in types', () => {
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let filePath = path.join(path.sep, 'file-structure', 'directory', 'file.ts');
+            let content = `let finder: ElementFinder | Array<ElementFinder> = element(by.css('a'));\n`;
+
+            let file = new TypeScriptFile(filePath, fileStructure);
+
+            sinon.stub(File.prototype, 'read').callsFake(() => {
+                file.content = content;
+                return Promise.resolve(content);
+            });
+            sinon.stub(File.prototype, 'refactor').resolves();
+            sinon.stub(File.prototype, 'save').callsFake(javascript => Promise.resolve(javascript));
+
+            return file.read()
+            .then(() => file.refactor('identifierChange', { oldName: 'ElementFinder', newName: 'WebElement' }))
+            .then(() => {
+                let [javascript] = File.prototype.save.lastCall.args;
+                expect(javascript).to.equal(`let finder: WebElement | Array<WebElement> = element(by.css('a'));\n`);
+            })
+            .finally(() => {
+                File.prototype.read.restore();
+                File.prototype.refactor.restore();
+                File.prototype.save.restore();
+            });
+        });
+
+        it('should update the paths and metadata in the file', () => {
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let filePath = path.join(path.sep, 'file-structure', 'directory', 'file.ts');
+            let content = `// { "name": "old name" }\nimport { Page } from './page';\n\nlet page: Page = new Page();\n`;
+
+            let file = new TypeScriptFile(filePath, fileStructure);
+
+            sinon.stub(File.prototype, 'read').callsFake(() => {
+                file.content = content;
+                return Promise.resolve(content);
+            });
+            sinon.stub(File.prototype, 'refactor').resolves();
+            sinon.stub(File.prototype, 'save').callsFake(javascript => Promise.resolve(javascript));
+
+            return file.read()
+            .then(() => file.refactor('referencePathChange', {
+                fromPath: filePath,
+                oldToPath: path.join(path.sep, 'file-structure', 'directory', 'page.ts'),
+                newToPath: path.join(path.sep, 'file-structure', 'pages', 'page.ts')
+            }))
+            .then(() => file.refactor('metadataChange', { oldName: 'old name', newName: 'new name' }))
+            .then(() => {
+                let [javascript] = File.prototype.save.lastCall.args;
+                expect(javascript).to.equal(`// {"name":"new name"}\nimport { Page } from '../pages/page';\n\nlet page: Page = new Page();\n`);
+            })
+            .finally(() => {
+                File.prototype.read.restore();
+                File.prototype.refactor.restore();
+                File.prototype.save.restore();
+            });
+        });
+    });
+
+    describe('TypeScriptFile.serialise:', () => {
+        it(`should include the file's AST`, () => {
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let filePath = path.join(path.sep, 'file-structure', 'directory', 'file.ts');
+
+            sinon.stub(File.prototype, 'read').resolves('let a: number = 1;');
+            sinon.stub(File.prototype, 'serialise').returns({});
+
+            let file = new TypeScriptFile(filePath, fileStructure);
+
+            return file.read()
+            .then(() => {
+                expect(file.serialise({ locations: true })).to.deep.equal({ ast: file.ast });
+            })
+            .finally(() => {
+                File.prototype.read.restore();
+                File.prototype.serialise.restore();
+            });
+        });
+
+        it('should serialise BigInt literals to JSON', () => {
+            let fileStructure = new FileStructure(path.join(path.sep, 'file-structure'));
+            let filePath = path.join(path.sep, 'file-structure', 'directory', 'file.ts');
+
+            sinon.stub(File.prototype, 'read').resolves('export const big = 10n;');
+            sinon.stub(File.prototype, 'serialise').returns({});
+
+            let file = new TypeScriptFile(filePath, fileStructure);
+
+            return file.read()
+            .then(() => {
+                let [declarator] = JSON.parse(JSON.stringify(file.serialise())).ast.body[0].declaration.declarations;
+                expect(declarator.init).to.deep.equal({ bigint: '10', raw: '10n', type: 'Literal', value: null });
+            })
+            .finally(() => {
+                File.prototype.read.restore();
+                File.prototype.serialise.restore();
+            });
+        });
+    });
+});